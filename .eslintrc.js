@@ -8,6 +8,14 @@ module.exports = {
   globals: {
     'document': true
   },
+  settings: {
+    jsdoc: {
+      // 与valid-jsdoc一致，使用 @returns 标签
+      tagNamePreference: {
+        returns: 'returns',
+      },
+    },
+  },
   rules: {
     'semi': 0,
     // 数组和对象键值对最后一个逗号， never参数：不能带末尾的逗号, always参数：必须带末尾的逗号，
@@ -24,11 +32,11 @@ module.exports = {
       },
     }],
     "no-multi-spaces": ["error", {
-      exceptions: {
+      ignoreEOLComments: true,
+      exceptions       : {
         "ImportDeclaration" : true,
         "VariableDeclarator": true,
-        "Property"          : false,
-        "ignoreEOLComments" : true
+        "Property"          : false
       }
     }],
     //对象字面量中冒号的前后空格
@@ -0,0 +1,226 @@
+'use strict'
+
+const xml = require('./xml')
+
+/**
+ * APP消息类型，即appmsg中的`<type>`
+ */
+const AppMsgType = {
+  text : 1,              // 文本
+  image : 2,             // 图片
+  music : 3,             // 音乐
+  video : 4,             // 视频链接
+  link : 5,              // 链接
+  file : 6,              // 文件
+  emoji : 8,             // 表情
+  chatHistory : 19,      // 聊天记录
+  miniProgram : 33,      // 小程序
+  miniProgramApp : 36,   // 小程序（APP分享）
+  quote : 57,            // 引用回复
+  musicCard : 76,        // 音乐卡片
+  transfer : 2000,       // 转账
+  redPacket : 2001,      // 红包
+}
+
+/**
+ * APP消息
+ *
+ * 由消息内容中的`<msg><appmsg>`解析而来，未单独定义的类型使用此类，可通过`xml`访问原始的xml节点
+ *
+ * @class AppMessage
+ */
+class AppMessage {
+  /**
+   * Creates an instance of AppMessage.
+   * @param {XmlNode} root - `<msg>`节点
+   * @memberof AppMessage
+   */
+  constructor(root) {
+    const appmsg = root.child('appmsg')
+    // 不可枚举，避免输出日志时带上整个xml结构
+    Object.defineProperty(this, 'xml', { value : root })
+    this.type = Number(appmsg.getText('type')) || 0
+    this.appId = appmsg.attrs.appid || ''
+    this.title = appmsg.getText('title')
+    this.description = appmsg.getText('des')
+    this.url = appmsg.getText('url')
+    this.thumbUrl = appmsg.getText('thumburl')
+    this.fromUser = root.getText('fromusername')
+  }
+}
+
+/**
+ * 链接消息，包括链接、音乐及视频链接
+ *
+ * @class LinkMessage
+ * @extends {AppMessage}
+ */
+class LinkMessage extends AppMessage {
+  constructor(root) {
+    super(root)
+    const appmsg = root.child('appmsg')
+    this.sourceName = appmsg.getText('sourcedisplayname') || root.getText('appinfo.appname')
+    // 音乐消息的音频地址
+    this.dataUrl = appmsg.getText('dataurl')
+  }
+}
+
+/**
+ * 文件消息
+ *
+ * @class FileMessage
+ * @extends {AppMessage}
+ */
+class FileMessage extends AppMessage {
+  constructor(root) {
+    super(root)
+    const attach = root.get('appmsg.appattach')
+    this.fileName = this.title
+    this.fileExt = attach ? attach.getText('fileext') : ''
+    this.size = attach ? Number(attach.getText('totallen')) || 0 : 0
+    this.attachId = attach ? attach.getText('attachid') : ''
+    this.md5 = root.getText('appmsg.md5')
+  }
+}
+
+/**
+ * 引用回复消息
+ *
+ * `text`为回复内容，`quoted`为被引用的消息
+ *
+ * @class QuoteMessage
+ * @extends {AppMessage}
+ */
+class QuoteMessage extends AppMessage {
+  constructor(root) {
+    super(root)
+    const refer = root.get('appmsg.refermsg')
+    this.text = this.title
+    this.quoted = refer ? {
+      type : Number(refer.getText('type')) || 0,
+      msgId : refer.getText('svrid'),
+      fromUser : refer.getText('fromusr'),
+      chatUser : refer.getText('chatusr'),
+      displayName : refer.getText('displayname'),
+      content : refer.getText('content'),
+      createTime : Number(refer.getText('createtime')) || 0,
+    } : null
+  }
+}
+
+/**
+ * 小程序消息
+ *
+ * @class MiniProgramMessage
+ * @extends {AppMessage}
+ */
+class MiniProgramMessage extends AppMessage {
+  constructor(root) {
+    super(root)
+    const info = root.get('appmsg.weappinfo')
+    this.sourceName = root.getText('appmsg.sourcedisplayname')
+    this.appId = (info && info.getText('appid')) || this.appId
+    this.userName = info ? info.getText('username') : ''
+    this.pagePath = info ? info.getText('pagepath') : ''
+    this.iconUrl = info ? info.getText('weappiconurl') : ''
+    this.version = info ? Number(info.getText('version')) || 0 : 0
+  }
+}
+
+/**
+ * 转账消息
+ *
+ * `paySubType`为1时为收到转账，3时为对方已收款，4时为已退还
+ *
+ * @class TransferMessage
+ * @extends {AppMessage}
+ */
+class TransferMessage extends AppMessage {
+  constructor(root) {
+    super(root)
+    const pay = root.get('appmsg.wcpayinfo')
+    this.paySubType = pay ? Number(pay.getText('paysubtype')) || 0 : 0
+    this.fee = pay ? pay.getText('feedesc') : ''
+    this.memo = pay ? pay.getText('pay_memo') : ''
+    this.transferId = pay ? pay.getText('transferid') : ''
+    this.transactionId = pay ? pay.getText('transcationid') : ''
+    this.beginTime = pay ? Number(pay.getText('begintransfertime')) || 0 : 0
+    this.invalidTime = pay ? Number(pay.getText('invalidtime')) || 0 : 0
+  }
+}
+
+/**
+ * 红包消息
+ *
+ * @class RedPacketMessage
+ * @extends {AppMessage}
+ */
+class RedPacketMessage extends AppMessage {
+  constructor(root) {
+    super(root)
+    const pay = root.get('appmsg.wcpayinfo')
+    this.senderTitle = pay ? pay.getText('sendertitle') : ''
+    this.receiverTitle = pay ? pay.getText('receivertitle') : ''
+    this.sceneText = pay ? pay.getText('scenetext') : ''
+    this.nativeUrl = pay ? pay.getText('nativeurl') : ''
+    this.iconUrl = pay ? pay.getText('iconurl') : ''
+    this.sceneId = pay ? Number(pay.getText('sceneid')) || 0 : 0
+  }
+}
+
+// 各APP消息类型对应的类
+const classes = {
+  [AppMsgType.music] : LinkMessage,
+  [AppMsgType.video] : LinkMessage,
+  [AppMsgType.link] : LinkMessage,
+  [AppMsgType.musicCard] : LinkMessage,
+  [AppMsgType.file] : FileMessage,
+  [AppMsgType.quote] : QuoteMessage,
+  [AppMsgType.miniProgram] : MiniProgramMessage,
+  [AppMsgType.miniProgramApp] : MiniProgramMessage,
+  [AppMsgType.transfer] : TransferMessage,
+  [AppMsgType.redPacket] : RedPacketMessage,
+}
+
+/**
+ * 解析APP消息
+ *
+ * @example
+ * const app = parseAppMsg(data.content)
+ * if (app instanceof FileMessage) {
+ *   console.log('收到文件：%s，大小：%d', app.fileName, app.size)
+ * }
+ *
+ * @param {string} content - 消息内容，`<msg><appmsg>...</appmsg></msg>`格式的xml文本
+ * @returns {AppMessage|null} 对应类型的APP消息，不是APP消息时为`null`。xml格式错误时抛出异常
+ */
+function parseAppMsg(content) {
+  if (typeof content !== 'string' || content.indexOf('<appmsg') === -1) {
+    return null
+  }
+  let root = xml.parse(content)
+  // 兼容没有外层`<msg>`的内容
+  if (root.name === 'appmsg') {
+    const msg = new xml.XmlNode('msg')
+    msg.children.push(root)
+    root = msg
+  }
+  if (!root.child('appmsg')) {
+    return null
+  }
+  const type  = Number(root.getText('appmsg.type'))
+  const Class = classes[type] || AppMessage
+  return new Class(root)
+}
+
+module.exports = {
+  AppMsgType,
+  AppMessage,
+  LinkMessage,
+  FileMessage,
+  QuoteMessage,
+  MiniProgramMessage,
+  TransferMessage,
+  RedPacketMessage,
+  parseAppMsg,
+}
@@ -20,11 +20,29 @@ exports.userEvents = [
 ]
 
 exports.loginType = {
-  token  : 'token',     // 断线重连
-  request: 'request',   // 二次登陆
-  qrcode : 'qrcode',    // 扫码登陆
-  phone  : 'phone',     // 手机验证码登陆
-  user   : 'user',      // 账号密码登陆
+  token : 'token',       // 断线重连
+  request : 'request',   // 二次登陆
+  qrcode : 'qrcode',     // 扫码登陆
+  phone : 'phone',       // 手机验证码登陆
+  user : 'user',         // 账号密码登陆
+}
+
+exports.scanStatus = {
+  waiting : 0,     // 等待扫码
+  scanned : 1,     // 已扫码，等待在手机上确认
+  confirmed : 2,   // 已在手机上确认
+  expired : 3,     // 二维码已过期
+  cancelled : 4,   // 已在手机上取消登陆
+}
+
+exports.states = {
+  disconnected : 'disconnected',        // 未连接
+  connected : 'connected',              // 已连接服务器（启用授权时为授权通过）
+  initialized : 'initialized',          // 已初始化实例
+  awaitingScan : 'awaiting_scan',       // 已推送登陆二维码，等待扫码
+  loggedIn : 'logged_in',               // 已登陆
+  contactsLoaded : 'contacts_loaded',   // 通讯录载入完毕
+  loggedOut : 'logged_out',             // 已注销登录（实例仍在，可重新登陆）
 }
 
 exports.blacklist = [
@@ -2,9 +2,9 @@
 
 const log4js  = require('log4js')
 const Padchat = require('./index')
-const fs      = require('fs')
 const util    = require('util')
-const qrcode  = require('qrcode-terminal')
+
+const { MessageType } = Padchat
 
 /**
 * 创建日志目录
@@ -31,26 +31,18 @@ const dLog   = log4js.getLogger('dev')
 
 logger.info('demo start!')
 
-const autoData = {
-  wxData: '',
-  token : '',
-}
-let server = ''
-    server = 'ws://127.0.0.1:7777'
-    server = 'ws://52.80.188.251:7777'
+// 服务器列表，按顺序优先连接，连接失败时自动切换到下一个
+const servers = [
+  'ws://127.0.0.1:7777',
+  'ws://52.80.188.251:7777',
+]
 
-try {
-  const tmpBuf          = fs.readFileSync('./config.json')
-  const data            = JSON.parse(String(tmpBuf))
-        autoData.wxData = data.wxData
-        autoData.token  = data.token
-  logger.info('载入设备参数与自动登陆数据：%o ', autoData)
-} catch (e) {
-  logger.warn('没有在本地发现设备登录参数或解析数据失败！如首次登录请忽略！')
-}
+// 登陆数据存储，将设备参数及二次登陆数据按账号保存在本地，以后再次登录此账号时提供相同参数
+const store = new Padchat.FileStore('./config.json')
 
-const wx = new Padchat(server)
-logger.info('当前连接接口服务器为：', server)
+// 启用断线自动重连，重连后sdk会使用保存的`wxData`和`token`自动恢复登陆
+const wx = new Padchat(servers, { reconnect : true, heartbeat : true, refreshQrcode : true, store })
+logger.info('当前连接接口服务器为：', wx.url)
 let disconnectCount = 0      // 断开计数
 let connected       = false  // 成功连接标志
 
@@ -60,142 +52,97 @@ wx
     if (connected) {
       connected = false
       disconnectCount++
-      logger.info(`第 ${disconnectCount} 次与服务器连接断开！现在将重试连接服务器。`)
+      logger.info(`第 ${disconnectCount} 次与服务器连接断开！`)
     } else {
-      logger.debug(`未能连接服务器！将重试连接服务器。`)
+      logger.debug('未能连接服务器！')
     }
-    // 重新启动websocket连接
-    wx.start()
+  })
+  .on('server_switched', (url, prevUrl) => {
+    logger.info(`切换接口服务器：${prevUrl} -> ${url}`)
+  })
+  .on('reconnecting', (attempts, delay) => {
+    logger.info(`将在 ${delay} 毫秒后第 ${attempts} 次重试连接服务器。`)
+  })
+  .on('reconnected', async ({ loginType, error }) => {
+    connected = true
+    if (loginType) {
+      logger.info('重连成功，已使用 %s 方式恢复登陆！', loginType)
+      return
+    }
+    logger.warn('重连成功，但未能恢复登陆！', error)
+    const ret = await wx.login('qrcode')
+    if (!ret.success) {
+      logger.error('使用qrcode登录模式失败！', ret)
+    }
+  })
+  .on('reconnect_failed', attempts => {
+    logger.error(`连续 ${attempts} 次重连失败，已停止重连！`)
   })
   .on('open', async () => {
-    let ret
     logger.info('连接成功!')
     connected = true
 
+    // 依次尝试断线重连、二次登陆及扫码登陆，登陆成功后sdk会将最新的登陆数据写入./config.json
     // 非首次登录时最好使用以前成功登录时使用的设备参数，
     // 否则可能会被tx服务器怀疑账号被盗，导致手机端被登出
-    ret = await wx.init()
-    if (!ret.success) {
-      logger.error('新建任务失败！', ret)
-      return
-    }
-    logger.info('新建任务成功, json: ', ret)
-
-    //先尝试使用断线重连方式登陆
-    if (autoData.token) {
-      ret = await wx.login('token', autoData)
-      if (ret.success) {
-        logger.info('断线重连请求成功！', ret)
-        return
-      }
-      logger.warn('断线重连请求失败！', ret)
-
-      ret = await wx.login('request', autoData)
-      if (ret.success) {
-        logger.info('自动登录请求成功！', ret)
-        return
-      }
-      logger.warn('自动登录请求失败！', ret)
-    }
-
-    ret = await wx.login('qrcode')
-    if (!ret.success) {
-      logger.error('使用qrcode登录模式失败！', ret)
-      return
+    try {
+      const { loginType } = await wx.autoLogin()
+      logger.info('登陆成功！登陆方式：%s', loginType)
+    } catch (e) {
+      logger.error('自动登陆失败！', e)
     }
-    logger.info('使用qrcode登录模式！')
   })
-  .on('qrcode', data => {
+  .on('qrcode', async data => {
     // 如果存在url，则直接在终端中生成二维码并显示
     logger.info(`登陆二维码内容为: "${data.url}"，请使用微信扫描下方二维码登陆!`)
-    qrcode.generate(data.url, { small: false })
+    console.log(await Padchat.qrcode.toTerminal(data.url))
   })
   .on('scan', data => {
-    switch (data.status) {
-      case 0:
-        logger.info('等待扫码...', data)
-        break;
-      case 1:
-        // {
-        //   status     : 1,
-        //   expiredTime: 239,
-        //   headUrl    : 'http://wx.qlogo.cn/mmhead/ver_1/xxxxxxx/0', //头像url
-        //   nickName   : '木匠' //昵称
-        // }
-        logger.info('已扫码，请在手机端确认登陆...', data)
-        break;
-      case 2:
-        // {
-        //   password   : '***hide***',   // 可忽略
-        //   status     : 2,
-        //   expiredTime: 238,
-        //   headUrl    : 'http://wx.qlogo.cn/mmhead/ver_1/xxxxxxx/0',  //头像url
-        //   subStatus  : 0               // 登陆操作状态码
-        //   以下字段仅在登录成功时有效
-        //   external   : '1',
-        //   email      : '',
-        //   uin        : 149806460,      // 微信账号uin，全局唯一
-        //   deviceType : 'android',      // 登陆的主设备类型
-        //   nickName   : '木匠'          //昵称
-        //   userName   : 'wxid_xxxxxx',  // 微信账号id，全局唯一
-        //   phoneNumber: '18012345678',  // 微信账号绑定的手机号
-        // }
-        switch (data.subStatus) {
-          case 0:
-            logger.info('扫码成功！登陆成功！', data)
-            break;
-          case 1:
-            logger.info('扫码成功！登陆失败！', data)
-            break;
-          default:
-            logger.info('扫码成功！未知状态码！', data)
-            break;
-        }
-        break;
-      // 如果等待登陆超时或手机上点击了取消登陆，需要重新调用登陆
-      case 3:
-        logger.info('二维码已过期！请重新调用登陆接口！', data)
-        break;
-      case 4:
-        logger.info('手机端已取消登陆！请重新调用登陆接口！', data)
-        break;
-      default:
-        logger.warn('未知登陆状态！请重新调用登陆接口！', data)
-        break;
+    if (data.status === Padchat.scanStatus.waiting) {
+      logger.info('等待扫码...', data)
     }
   })
+  .on('qrcode_scanned', ({ nickName, headUrl }) => {
+    logger.info('已扫码，请在手机端确认登陆...', nickName, headUrl)
+  })
+  .on('qrcode_confirmed', data => {
+    // {
+    //   password   : '***hide***',   // 可忽略
+    //   status     : 2,
+    //   expiredTime: 238,
+    //   headUrl    : 'http://wx.qlogo.cn/mmhead/ver_1/xxxxxxx/0',  //头像url
+    //   subStatus  : 0               // 登陆操作状态码，为0时登陆成功
+    //   以下字段仅在登录成功时有效
+    //   external   : '1',
+    //   email      : '',
+    //   uin        : 149806460,      // 微信账号uin，全局唯一
+    //   deviceType : 'android',      // 登陆的主设备类型
+    //   nickName   : '木匠'          //昵称
+    //   userName   : 'wxid_xxxxxx',  // 微信账号id，全局唯一
+    //   phoneNumber: '18012345678',  // 微信账号绑定的手机号
+    // }
+    logger.info('扫码成功！登陆成功！', data)
+  })
+  // 已在手机上确认，但登陆失败（`subStatus`为1，或未知状态码）
+  .on('qrcode_failed', data => {
+    logger.info('扫码成功！登陆失败！', data)
+  })
+  // 二维码过期时，sdk会自动获取新的二维码（见`refreshQrcode`选项）
+  .on('qrcode_expired', () => {
+    logger.info('二维码已过期！')
+  })
+  // 如果手机上点击了取消登陆，需要重新调用登陆
+  .on('qrcode_cancelled', () => {
+    logger.info('手机端已取消登陆！请重新调用登陆接口！')
+  })
   .on('login', async () => {
     logger.info('微信账号登陆成功！')
-    let ret
 
-    ret = await wx.getMyInfo()
+    const ret = await wx.getMyInfo()
     logger.info('当前账号信息：', ret.data)
 
     // 主动同步通讯录
     await wx.syncContact()
-
-    if (!autoData.wxData) {
-      // 如果已经存在设备参数，则不再获取
-      ret = await wx.getWxData()
-      if (!ret.success) {
-        logger.warn('获取设备参数未成功！ json:', ret)
-        return
-      }
-      logger.info('获取设备参数成功, json: ', ret)
-      Object.assign(autoData, { wxData: ret.data.wxData })
-    }
-
-    ret = await wx.getLoginToken()
-    if (!ret.success) {
-      logger.warn('获取自动登陆数据未成功！ json:', ret)
-      return
-    }
-    logger.info('获取自动登陆数据成功, json: ', ret)
-    Object.assign(autoData, { token: ret.data.token })
-
-    // NOTE: 这里将设备参数保存到本地，以后再次登录此账号时提供相同参数
-    fs.writeFileSync('./config.json', JSON.stringify(autoData, null, 2))
-    logger.info('设备参数已写入到 ./config.json文件')
   })
   .on('logout', ({ msg }) => {
     logger.info('微信账号已退出！', msg)
@@ -215,54 +162,78 @@ wx
   .on('sns', (data, msg) => {
     logger.info('收到朋友圈事件！请查看朋友圈新消息哦！', msg)
   })
+  .on('room_join', data => {
+    logger.info('%s 邀请 %s 加入了群 %s', data.inviter && data.inviter.nickName, data.invitees.map(user => user.nickName).join('、'), data.room)
+  })
+  .on('room_leave', data => {
+    logger.info('%s 被移出了群 %s', data.leavers.map(user => user.nickName || user.userName).join('、'), data.room)
+  })
+  .on('room_topic', data => {
+    logger.info('群 %s 的群名被修改为：%s', data.room, data.topic)
+  })
+  .on('message_recalled', data => {
+    logger.info('%s 撤回了消息 %s：%s', data.session, data.msgId, data.text)
+  })
+  .on('friendship_confirmed', data => {
+    logger.info('已添加好友：%s', data.contact.userName)
+  })
+  .on('friend_request', async request => {
+    logger.info('收到来自 %s 的好友请求：%s', request.contact.nickName, request.hello)
+    if (/ding/.test(request.hello)) {
+      await request.accept({ remark : request.contact.nickName + '-dong' })
+        .then(contact => {
+          logger.info('已通过 %s 的好友请求', contact.userName)
+        })
+        .catch(e => {
+          logger.warn('通过好友请求异常:', e.message)
+        })
+    }
+  })
   .on('push', async data => {
-    // 消息类型 data.mType
-    // 1  文字消息
-    // 2  好友信息推送，包含好友，群，公众号信息
-    // 3  收到图片消息
-    // 34  语音消息
-    // 35  用户头像buf
-    // 37  收到好友请求消息
-    // 42  名片消息
-    // 43  视频消息
-    // 47  表情消息
-    // 48  定位消息
-    // 49  APP消息(文件 或者 链接 H5)
-    // 50  语音通话
-    // 51  状态通知（如打开与好友/群的聊天界面）
-    // 52  语音通话通知
-    // 53  语音通话邀请
-    // 62  小视频
-    // 2000  转账消息
-    // 2001  收到红包消息
-    // 3000  群邀请
-    // 9999  系统通知
-    // 10000  微信通知信息. 微信群信息变更通知，多为群名修改，进群，离群信息，不包含群内聊天信息
-    // 10002  撤回消息
+    // data为Message实例，消息类型 data.type 见 Padchat.MessageType
+    // text           1     文字消息
+    // contact        2     好友信息推送，包含好友，群，公众号信息
+    // image          3     收到图片消息
+    // voice          34    语音消息
+    // headImage      35    用户头像buf
+    // friendRequest  37    收到好友请求消息
+    // card           42    名片消息
+    // video          43    视频消息
+    // emoji          47    表情消息
+    // location       48    定位消息
+    // app            49    APP消息(文件 或者 链接 H5)
+    // voipCall       50    语音通话
+    // status         51    状态通知（如打开与好友/群的聊天界面）
+    // voipNotify     52    语音通话通知
+    // voipInvite     53    语音通话邀请
+    // microVideo     62    小视频
+    // transfer       2000  转账消息
+    // redPacket      2001  收到红包消息
+    // roomInvite     3000  群邀请
+    // sysNotify      9999  系统通知
+    // sysNotice      10000 微信通知信息. 微信群信息变更通知，多为群名修改，进群，离群信息，不包含群内聊天信息
+    // recalled       10002 撤回消息
     // --------------------------------
-    // 注意，如果是来自微信群的消息，data.content字段中包含发言人的wxid及其发言内容，需要自行提取
+    // 注意，如果是来自微信群的消息，data.sender及data.text中为发言人的wxid及其发言内容
     // 各类复杂消息，data.content中是xml格式的文本内容，需要自行从中提取各类数据。（如好友请求）
-    if ((data.mType !== 2) && !(data.mType === 10002 && data.fromUser === 'weixin')) {
+    if ((data.type !== MessageType.contact) && !(data.type === MessageType.recalled && data.fromUser === 'weixin')) {
       // 输出除联系人以外的推送信息
       dLog.info('push: \n%o', data)
     }
     let rawFile
-    switch (data.mType) {
-      case 2:
+    switch (data.type) {
+      case MessageType.contact:
         logger.info('收到推送联系人：%s - %s', data.userName, data.nickName)
         break
 
-      case 3:
-        logger.info('收到来自 %s 的图片消息，包含图片数据：%s，xml内容：\n%s', data.fromUser, !!data.data, data.content)
-        rawFile = data.data || null
-        logger.info('图片缩略图数据base64尺寸：%d', rawFile.length)
-        await wx.getMsgImage(data)
-          .then(ret => {
-            rawFile = ret.data.image || ''
-            logger.info('获取消息原始图片结果：%s, 获得图片base64尺寸：%d', ret.success, rawFile.length)
+      case MessageType.image:
+        logger.info('收到来自 %s 的图片消息，包含图片数据：%s，xml内容：\n%s', data.sender, !!data.data, data.content)
+        rawFile = await data.downloadMedia()
+          .catch(e => {
+            logger.warn('获取消息原始图片异常:', e.message)
           })
-        logger.info('图片数据base64尺寸：%d', rawFile.length)
-        await wx.sendImage('filehelper', rawFile)
+        logger.info('图片数据尺寸：%d', rawFile ? rawFile.length : 0)
+        await data.forward('filehelper')
           .then(ret => {
             logger.info('转发图片信息给 %s 结果：', 'filehelper', ret)
           })
@@ -271,33 +242,32 @@ wx
           })
         break
 
-      case 43:
-        logger.info('收到来自 %s 的视频消息，包含视频数据：%s，xml内容：\n%s', data.fromUser, !!data.data, data.content)
-        rawFile = data.data || null
+      case MessageType.video:
+        logger.info('收到来自 %s 的视频消息，包含视频数据：%s，xml内容：\n%s', data.sender, !!data.data, data.content)
+        rawFile = data.data ? Buffer.from(data.data, 'base64') : null
         if (!rawFile) {
-          await wx.getMsgVideo(data)
-            .then(ret => {
-              rawFile = ret.data.video || ''
-              logger.info('获取消息原始视频结果：%s, 获得视频base64尺寸：%d', ret.success, rawFile.length)
+          rawFile = await data.downloadMedia()
+            .catch(e => {
+              logger.warn('获取消息原始视频异常:', e.message)
             })
         }
-        logger.info('视频数据base64尺寸：%d', rawFile.length)
+        logger.info('视频数据尺寸：%d', rawFile ? rawFile.length : 0)
         break
 
-      case 1:
+      case MessageType.text:
         if (data.fromUser === 'newsapp') { // 腾讯新闻发的信息太长
           break
         }
-        logger.info('收到来自 %s 的文本消息：', data.fromUser, data.description || data.content)
-        if (/ding/.test(data.content)) {
-          await wx.sendMsg(data.fromUser, 'dong. receive:' + data.content)
+        logger.info('收到来自 %s 的文本消息：', data.sender, data.description || data.text)
+        if (/ding/.test(data.text)) {
+          await data.reply('dong. receive:' + data.text)
             .then(ret => {
-              logger.info('回复信息给%s 结果：', data.fromUser, ret)
+              logger.info('回复信息给%s 结果：', data.sender, ret)
             })
             .catch(e => {
               logger.warn('回复信息异常:', e.message)
             })
-        } else if (/^#.*/.test(data.content) || /^[\w]*:\n#.*/.test(data.content)) {
+        } else if (/^#.*/.test(data.text)) {
           await onMsg(data)
             .catch(e => {
               logger.warn('处理信息异常：', e)
@@ -305,39 +275,22 @@ wx
         }
         break
 
-      case 34:
-        logger.info('收到来自 %s 的语音消息，包含语音数据：%s，xml内容：\n%s', data.fromUser, !!data.data, data.content)
-        // 超过30Kb的语音数据不会包含在推送信息中，需要主动拉取
-        rawFile = data.data || null
-        if (!rawFile) {
-          // BUG: 超过60Kb的语音数据，只能拉取到60Kb，也就是说大约36~40秒以上的语音会丢失后边部分语音内容
-          await wx.getMsgVoice(data)
-            .then(ret => {
-              rawFile = ret.data.voice || ''
-              logger.info('获取消息原始语音结果：%s, 获得语音base64尺寸：%d，拉取到数据尺寸：%d', ret.success, rawFile.length, ret.data.size)
-            })
-        }
-        logger.info('语音数据base64尺寸：%d', rawFile.length)
-        if (rawFile.length > 0) {
-          let   match  = data.content.match(/length="(\d+)"/) || []
-          const length = match[1] || 0
-                match  = data.content.match(/voicelength="(\d+)"/) || []
-          const ms     = match[1] || 0
-          logger.info('语音数据语音长度：%d ms，xml内记录尺寸：%d', ms, length)
-
-          await wx.sendVoice('filehelper', rawFile, ms)
-            .then(ret => {
-              logger.info('转发语音信息给 %s 结果：', 'filehelper', ret)
-            })
-            .catch(e => {
-              logger.warn('转发语音信息异常:', e.message)
-            })
-        }
+      case MessageType.voice:
+        logger.info('收到来自 %s 的语音消息，包含语音数据：%s，xml内容：\n%s', data.sender, !!data.data, data.content)
+        // 超过30Kb的语音数据不会包含在推送信息中，forward会主动拉取
+        // BUG: 超过60Kb的语音数据，只能拉取到60Kb，也就是说大约36~40秒以上的语音会丢失后边部分语音内容
+        await data.forward('filehelper')
+          .then(ret => {
+            logger.info('转发语音信息给 %s 结果：', 'filehelper', ret)
+          })
+          .catch(e => {
+            logger.warn('转发语音信息异常:', e.message)
+          })
         break
 
-      case 49:
+      case MessageType.app:
 
-        if (data.content.indexOf('<![CDATA[微信红包]]>') > 0) {
+        if (data.appMsg instanceof Padchat.RedPacketMessage) {
           logger.info('收到来自 %s 的红包：', data.fromUser, data)
           await wx.queryRedPacket(data)
             .then(ret => {
@@ -367,7 +320,7 @@ wx
             .catch(e => {
               logger.warn('接收红包异常:', e.message)
             })
-        } else if (data.content.indexOf('<![CDATA[微信转账]]>') > 0) {
+        } else if (data.appMsg instanceof Padchat.TransferMessage) {
           logger.info('收到来自 %s 的转账：', data.fromUser, data)
           await wx.queryTransfer(data)
             .then(ret => {
@@ -391,13 +344,13 @@ wx
               logger.warn('接受后，查询转账异常:', e.message)
             })
         } else {
-          logger.info('收到一条来自 %s 的appmsg富媒体消息：', data.fromUser, data)
+          logger.info('收到一条来自 %s 的appmsg富媒体消息：', data.sender, data.appMsg)
         }
         break
 
-      case 10002:
+      case MessageType.recalled:
         if (data.fromUser === 'weixin') {
-          //每次登陆，会收到一条系统垃圾推送，过滤掉
+          // 每次登陆，会收到一条系统垃圾推送，过滤掉
           break
         }
         logger.info('用户 %s 撤回了一条消息：', data.fromUser, data)
@@ -415,18 +368,19 @@ wx
     logger.error('任务出现错误:', e.message)
   })
   .on('cmdRet', (cmd, ret) => {
-    //捕捉接口操作结果，补充接口文档用
-    dLog.info('%s ret: \n%s', cmd, util.inspect(ret, { depth: 10 }))
+    // 捕捉接口操作结果，补充接口文档用
+    dLog.info('%s ret: \n%s', cmd, util.inspect(ret, { depth : 10 }))
   })
 
 async function onMsg(data) {
-  const content        = data.content.replace(/^[\w:\n]*#/m, '')
-  let   [cmd, ...args] = content.split('\n')
+  const content = data.text.replace(/^#/, '')
+  let [cmd, ...args] = content.split('\n')
 
   args = args.map(str => {
     try {
       str = JSON.parse(str)
     } catch (e) {
+      // 不是json文本时作为字符串参数
     }
     return str
   })
@@ -0,0 +1,117 @@
+'use strict'
+
+/**
+ * 错误代码
+ *
+ * 可通过`err.code`判断错误类型，不要依赖错误提示文本
+ */
+const errorCode = {
+  // 连接相关
+  NOT_CONNECTED : 'ERR_NOT_CONNECTED',     // ws未连接
+  DISCONNECTED : 'ERR_DISCONNECTED',       // 等待结果或状态时ws连接断开，或任务实例注销
+  SEND_FAILED : 'ERR_SEND_FAILED',         // ws发送数据失败
+  SOCKET_ERROR : 'ERR_SOCKET',             // ws连接异常
+  START_TOO_FAST : 'ERR_START_TOO_FAST',   // 建立ws连接时间间隔过短
+  AUTH_FAILED : 'ERR_AUTH_FAILED',         // 连接授权失败
+  DROPPED : 'ERR_DROPPED',                 // 离线队列中的指令被丢弃
+  DISPOSED : 'ERR_DISPOSED',               // 实例已销毁
+  POOL_FULL : 'ERR_POOL_FULL',             // 连接池中所有服务器的账号数量均已达到上限
+  HEARTBEAT : 'ERR_HEARTBEAT',             // 心跳超时，连接已失效
+  // 超时及取消
+  TIMEOUT : 'ERR_TIMEOUT',                 // 等待指令结果超时
+  ABORTED : 'ERR_ABORTED',                 // 指令已取消
+  // 服务器返回
+  SERVER : 'ERR_SERVER',                   // 接口执行失败
+  SERVER_WARN : 'ERR_SERVER_WARN',         // 服务器推送的错误提示（warn事件）
+  UNHANDLED_RET : 'ERR_UNHANDLED_RET',     // 返回的执行结果没有对应的指令
+  LOGIN_FAILED : 'ERR_LOGIN_FAILED',       // 多次尝试后登陆失败
+  INVALID_DATA : 'ERR_INVALID_DATA',       // 接收到的数据无法解析
+  MIDDLEWARE : 'ERR_MIDDLEWARE',           // 中间件钩子执行异常
+  // 参数校验
+  INVALID_ARGS : 'ERR_INVALID_ARGS',       // 参数错误
+  DEPRECATED : 'ERR_DEPRECATED',           // 接口已停用
+  MISSING_MODULE : 'ERR_MISSING_MODULE',   // 需要安装的可选依赖模块不存在
+}
+
+/**
+ * Padchat错误基类
+ *
+ * sdk中所有的异常均为此类或其子类的实例
+ *
+ * @class PadchatError
+ * @extends {Error}
+ */
+class PadchatError extends Error {
+  /**
+   * Creates an instance of PadchatError.
+   * @param {string} message - 错误提示
+   * @param {object} [info] - 附加信息
+   * @param {string} [info.code] - 错误代码，见`errorCode`
+   * @param {string} [info.cmd] - 相关的指令
+   * @param {string} [info.cmdId] - 相关的指令id
+   * @param {number} [info.status] - 服务器返回的状态码
+   * @param {Error} [info.cause] - 引发此错误的原始异常
+   * @param {object} [info.result] - 服务器返回的完整执行结果
+   * @memberof PadchatError
+   */
+  constructor(message, info = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = info.code || this.constructor.defaultCode
+    this.cmd = info.cmd
+    this.cmdId = info.cmdId
+    this.status = info.status
+    if (info.cause) {
+      this.cause = info.cause
+    }
+    if (info.result) {
+      this.result = info.result
+    }
+  }
+}
+PadchatError.defaultCode = 'ERR_PADCHAT'
+
+/**
+ * 连接错误（未连接、连接断开、发送失败、授权失败等）
+ *
+ * @class ConnectionError
+ * @extends {PadchatError}
+ */
+class ConnectionError extends PadchatError { }
+ConnectionError.defaultCode = errorCode.NOT_CONNECTED
+
+/**
+ * 等待指令结果超时
+ *
+ * @class TimeoutError
+ * @extends {PadchatError}
+ */
+class TimeoutError extends PadchatError { }
+TimeoutError.defaultCode = errorCode.TIMEOUT
+
+/**
+ * 服务器返回的错误
+ *
+ * @class ServerError
+ * @extends {PadchatError}
+ */
+class ServerError extends PadchatError { }
+ServerError.defaultCode = errorCode.SERVER
+
+/**
+ * 参数校验错误
+ *
+ * @class ValidationError
+ * @extends {PadchatError}
+ */
+class ValidationError extends PadchatError { }
+ValidationError.defaultCode = errorCode.INVALID_ARGS
+
+module.exports = {
+  errorCode,
+  PadchatError,
+  ConnectionError,
+  TimeoutError,
+  ServerError,
+  ValidationError,
+}
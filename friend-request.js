@@ -0,0 +1,182 @@
+'use strict'
+
+const xml                              = require('./xml')
+const { ServerError, ValidationError } = require('./errors')
+
+/**
+ * 好友请求
+ *
+ * 由`friendRequest`(37)类型推送消息的xml内容解析而来，通过`friend_request`事件推送。
+ * `status`为处理状态：`pending`未处理，`accepting`正在通过，`accepted`已通过，`rejected`已拒绝。每个请求只能处理一次
+ *
+ * @example
+ * wx.on('friend_request', async request => {
+ *   if (request.hello === '芝麻开门') {
+ *     await request.accept({ remark: `${request.contact.nickName}-自动通过`, label: '机器人好友' })
+ *   } else {
+ *     await request.reject()
+ *   }
+ * })
+ *
+ * @class FriendRequest
+ */
+class FriendRequest {
+  /**
+   * Creates an instance of FriendRequest.
+   * @param {Padchat} wx - 收到此请求的Padchat实例
+   * @param {XmlNode} root - `<msg>`节点
+   * @memberof FriendRequest
+   */
+  constructor(wx, root) {
+    const attrs = root.attrs
+    Object.defineProperty(this, 'wx', { value : wx })
+    this.hello = attrs.content || ''
+    this.scene = Number(attrs.scene) || 0
+    this.stranger = attrs.encryptusername || ''
+    this.ticket = attrs.ticket || ''
+    this.room = attrs.chatroomusername || null
+    this.status = 'pending'
+    this.contact = {
+      userName : attrs.fromusername || '',
+      nickName : attrs.fromnickname || '',
+      alias : attrs.alias || '',
+      sex : Number(attrs.sex) || 0,
+      country : attrs.country || '',
+      province : attrs.province || '',
+      city : attrs.city || '',
+      signature : attrs.sign || '',
+      bigHead : attrs.bigheadimgurl || '',
+      smallHead : attrs.smallheadimgurl || '',
+    }
+  }
+
+  /**
+   * 通过好友请求，并设置备注及标签
+   *
+   * 依次调用`acceptUser`、`setRemark`及`setLabel`，任一步骤失败时reject一个`ServerError`。
+   * 调用`acceptUser`期间`status`为`accepting`，成功后为`accepted`，失败时恢复为`pending`，可再次调用。
+   * 请求已处理过或正在处理时reject一个`ValidationError`
+   *
+   * @param {object} [options] - 选项
+   * @param {string} [options.remark] - 备注名称
+   * @param {number|string|Array<number|string>} [options.label] - 标签，数字为标签id，字符串为标签名称，不存在的标签会自动创建
+   * @returns {Promise<object>} 好友信息，即`contact`
+   * @memberof FriendRequest
+   */
+  async accept(options = {}) {
+    checkPending(this)
+    const wx       = this.wx.withOptions({ strict : true })
+    const userName = this.contact.userName
+    // 先标记为正在处理，避免并发调用重复提交
+    this.status = 'accepting'
+    try {
+      await wx.acceptUser(this.stranger, this.ticket)
+    } catch (e) {
+      this.status = 'pending'
+      throw e
+    }
+    this.status = 'accepted'
+    if (options.remark) {
+      await wx.setRemark(userName, options.remark)
+    }
+    if (options.label !== undefined && options.label !== null && options.label !== '') {
+      await wx.setLabel(userName, await getLabelIds(wx, [].concat(options.label)))
+    }
+    return this.contact
+  }
+
+  /**
+   * 拒绝好友请求
+   *
+   * 微信没有拒绝好友请求的接口，对方不会收到通知，此处只将`status`标记为`rejected`，之后不能再通过此请求。
+   * 请求已处理过或正在处理时reject一个`ValidationError`
+   *
+   * @returns {Promise<void>} 标记完毕后resolve
+   * @memberof FriendRequest
+   */
+  async reject() {
+    checkPending(this)
+    this.status = 'rejected'
+  }
+}
+
+/**
+ * 检查好友请求是否未处理
+ *
+ * @param {FriendRequest} request - 好友请求
+ * @private
+ * @returns {void}
+ */
+function checkPending(request) {
+  if (request.status !== 'pending') {
+    throw new ValidationError(`好友请求已处理或正在处理! 状态: ${request.status}`)
+  }
+}
+
+/**
+ * 解析好友请求消息
+ *
+ * @param {Padchat} wx - Padchat实例
+ * @param {string} content - 消息内容
+ * @returns {FriendRequest|null} 好友请求，xml格式错误或缺少验证数据时为`null`
+ */
+function parseFriendRequest(wx, content) {
+  let root
+  try {
+    root = xml.parse(content || '')
+  } catch (e) {
+    return null
+  }
+  if (root.name !== 'msg' || !root.attrs.encryptusername || !root.attrs.ticket) {
+    return null
+  }
+  return new FriendRequest(wx, root)
+}
+
+/**
+ * 获取标签id，不存在的标签名称会先创建
+ *
+ * @param {Padchat} wx - 严格模式的Padchat实例
+ * @param {Array<number|string>} labels - 标签id或名称
+ * @private
+ * @returns {Promise<string>} 以`,`分隔的标签id
+ */
+async function getLabelIds(wx, labels) {
+  let list   = null
+  const ids  = []
+  for (const label of labels) {
+    if (typeof label === 'number') {
+      ids.push(String(label))
+      continue
+    }
+    list = list || await getLabelList(wx)
+    let found = list.find(item => item.name === label)
+    if (!found) {
+      await wx.addLabel(label)
+      list = await getLabelList(wx)
+      found = list.find(item => item.name === label)
+    }
+    if (!found) {
+      throw new ServerError(`创建标签失败! 标签: ${label}`, { cmd : 'addLabel' })
+    }
+    ids.push(String(found.id))
+  }
+  return ids.join(',')
+}
+
+/**
+ * 获取标签列表
+ *
+ * @param {Padchat} wx - 严格模式的Padchat实例
+ * @private
+ * @returns {Promise<Array<object>>} 标签列表`[{ id, name }]`
+ */
+async function getLabelList(wx) {
+  const data = await wx.getLabelList()
+  return (data && data.label) || []
+}
+
+module.exports = {
+  FriendRequest,
+  parseFriendRequest,
+}
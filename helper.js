@@ -59,7 +59,7 @@ function toUnderLine(obj) {
   }
   for (const key in obj) {
     if (obj.hasOwnProperty(key)) {
-      const  newKey  = key.replace(/([A-Z])/g, (match, val, offset) => { return (offset ? '_' : '') + val }).toLowerCase()
+      const newKey = key.replace(/([A-Z])/g, (match, val, offset) => { return (offset ? '_' : '') + val }).toLowerCase()
       newObj[newKey] = obj[key]
     }
   }
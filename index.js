@@ -1,6 +1,7 @@
 'use strict'
 
 const EventEmitter = require('events')
+const crypto       = require('crypto')
 const Websocket    = require('ws')
 const UUID         = require('uuid')
 
@@ -9,7 +10,38 @@ const {
   wsEventType,
   loginType,
   blacklist,
+  scanStatus,
+  states,
 } = require('./define')
+const {
+  CredentialStore,
+  MemoryStore,
+  FileStore,
+} = require('./store')
+const qrcode = require('./qrcode')
+const {
+  Message,
+  MessageType,
+} = require('./message')
+const appmsg          = require('./appmsg')
+const xml             = require('./xml')
+const { parseNotice } = require('./notice')
+const {
+  FriendRequest,
+  parseFriendRequest,
+} = require('./friend-request')
+const {
+  Recorder,
+  Replayer,
+} = require('./recorder')
+const {
+  errorCode,
+  PadchatError,
+  ConnectionError,
+  TimeoutError,
+  ServerError,
+  ValidationError,
+} = require('./errors')
 
 const server = 'ws://127.0.0.1:7777'
 
@@ -22,13 +54,35 @@ const server = 'ws://127.0.0.1:7777'
  * ---- | ----
  * qrcode | 推送的二维码
  * scan | 扫码状态
- * push | 新信息事件
+ * qrcode_scanned | 已扫码，等待在手机上确认
+ * qrcode_confirmed | 已在手机上确认登陆，且登陆成功
+ * qrcode_failed | 已在手机上确认，但登陆失败
+ * qrcode_expired | 二维码已过期（启用`refreshQrcode`选项时会自动获取新的二维码）
+ * qrcode_cancelled | 已在手机上取消登陆
+ * push | 新信息事件，参数为`Message`实例
+ * mention | 当前登陆账号在群消息中被@，参数为`Message`实例
+ * room_join | 有人加入群聊，参数为`{ room, inviter, invitees }`及`Message`实例
+ * room_leave | 有人被移出群聊，参数为`{ room, remover, leavers }`及`Message`实例
+ * room_topic | 群名被修改，参数为`{ room, changer, topic }`及`Message`实例
+ * message_recalled | 消息被撤回，参数为`{ msgId, session, text }`及`Message`实例
+ * friendship_confirmed | 好友验证通过，参数为`{ contact }`及`Message`实例
+ * friend_request | 收到好友请求，参数为`FriendRequest`及`Message`实例
  * login | 登录
  * loaded | 通讯录载入完毕
  * logout | 注销登录
  * over | 实例注销（账号不退出）（要再登录需要重新调用init）
  * warn | 错误信息
  * sns | 朋友圈更新事件
+ * reconnecting | 准备自动重连（启用`reconnect`选项时）
+ * reconnected | 自动重连成功，并已尝试恢复登陆
+ * reconnect_failed | 自动重连次数超出限制，停止重连
+ * cmd_dropped | 离线队列中的指令被丢弃（启用`queue`选项时）
+ * auth_failed | 连接授权失败（启用`auth`选项时），不会再自动重连
+ * heartbeat | 收到心跳回应（启用`heartbeat`选项时），参数为往返延迟，单位毫秒
+ * server_switched | 切换了连接的服务器（传入多个服务器时），参数为新旧服务器url
+ * stateChange | 生命周期状态变化，参数为新旧状态，见`state`
+ * sysEvent | 服务器系统事件
+ * serverLog | 服务器日志
  *
  * **接口返回数据结构：** 所有接口均返回以下结构数据：
  * ```
@@ -40,6 +94,13 @@ const server = 'ws://127.0.0.1:7777'
  }
  * ```
  *
+ * **严格模式：** 启用`strict`选项后，`success`为`false`或`data.status`不为0时，接口会reject一个`ServerError`，
+ * 否则只返回结果中的`data`字段。可在构造函数中对实例启用，或使用`withOptions({ strict: true })`对单次调用启用。
+ *
+ * **异常：** 所有接口抛出的异常及`warn`、`error`事件的参数均为`PadchatError`或其子类
+ * （`ConnectionError`/`TimeoutError`/`ServerError`/`ValidationError`）的实例，
+ * 可通过`err.code`判断错误类型，并包含相关的`cmd`、`cmdId`及服务器返回的`status`。
+ *
  * TODO: 补充各监听事件返回的数据定义
  *
  * @class Padchat
@@ -48,49 +109,155 @@ const server = 'ws://127.0.0.1:7777'
 class Padchat extends EventEmitter {
   /**
    * Creates an instance of Padchat.
-   * @param {string} [url] - 服务器url，默认为：`ws://127.0.0.1:7777`
+   * @param {string|Array<string|object>} [url] - 服务器url，默认为：`ws://127.0.0.1:7777`。
+   * 传入数组时启用故障切换，连接失败时立即尝试其他服务器：元素均为url时按顺序优先连接；有任一元素为`{ url, weight }`时按权重随机选择
+   * @param {object} [options] - 可选配置
+   * @param {boolean|object} [options.reconnect=false] - 断线自动重连，传入`true`使用默认配置
+   * @param {number} [options.reconnect.retries=Infinity] - 最大连续重连次数
+   * @param {number} [options.reconnect.minDelay=1000] - 首次重连等待时间，单位毫秒
+   * @param {number} [options.reconnect.maxDelay=30000] - 最长重连等待时间，单位毫秒
+   * @param {number} [options.reconnect.factor=2] - 重连等待时间增长倍数
+   * @param {number} [options.reconnect.jitter=0.5] - 重连等待时间随机抖动比例，范围0-1
+   * @param {number} [options.sendTimeout=30000] - 等待指令返回结果的超时时间，单位毫秒
+   * @param {boolean|object} [options.queue=false] - 离线队列，断线期间发送的指令会暂存，连接恢复后按顺序发送
+   * @param {number} [options.queue.maxSize=100] - 队列最大长度，超出时丢弃最早的指令
+   * @param {number} [options.queue.maxAge=60000] - 指令在队列中的最长保存时间，单位毫秒
+   * @param {object} [options.auth] - 连接授权信息，连接后会先进行授权，授权通过后才触发`open`事件
+   * @param {string} options.auth.key - 授权key
+   * @param {string} options.auth.secret - 授权密钥，仅用于签名，不会发送到服务器
+   * @param {boolean} [options.strict=false] - 严格模式，接口执行失败时reject，成功时只返回`data`字段
+   * @param {boolean|object} [options.heartbeat=false] - 心跳检测，连续多次没有回应时断开连接（启用`reconnect`时会自动重连）
+   * @param {string} [options.heartbeat.type='ping'] - 心跳方式：`ping`使用ws协议的ping/pong；`sys`发送`sys`类型的`heartbeat`指令
+   * @param {number} [options.heartbeat.interval=30000] - 心跳间隔，单位毫秒
+   * @param {number} [options.heartbeat.maxMissed=2] - 允许连续没有回应的心跳次数，超出后断开连接
+   * @param {object} [options.store] - 登陆数据存储（如`FileStore`），自动登陆及重连恢复登陆时从中读取，登陆成功后写入最新的登陆数据
+   * @param {boolean|number} [options.refreshQrcode=false] - 二维码过期时自动调用`login('qrcode')`获取新的二维码。
+   * 传入数字时为连续刷新的最大次数，传入`true`时为5次
+   * @param {boolean} [options.autoConnect=true] - 是否在创建实例时自动连接服务器。为`false`时需自行调用`start()`
+   * @param {object} [options.failover] - 多服务器故障切换配置
+   * @param {number} [options.failover.cooldown=30000] - 服务器连接失败后，暂停选择该服务器的时间，单位毫秒
    * @memberof Padchat
    */
-  constructor(url = server) {
+  constructor(url = server, options = {}) {
     super()
-    this.url    = url
+    // 可用的服务器列表，`url`为当前连接的服务器
+    this._endpoints = getEndpoints(url, options.failover)
+    this.url = this._endpoints.list[0].url
     this._event = new EventEmitter()
     // 向ws服务器提交指令后，返回结果的超时时间，单位毫秒
-    this.sendTimeout    = 10 * 1000
-    this.connected      = false
+    this.sendTimeout = options.sendTimeout || 30 * 1000
+    // 严格模式
+    this.strict = !!options.strict
+    this.connected = false
+    this._state = states.disconnected
     this._lastStartTime = 0
-    this.ws             = {}
-    this.start()
+    this.ws = {}
+    // 等待返回结果的指令，以cmdId为key
+    this._pending = new Map()
+    // 正在等待进入指定状态的`waitFor`调用
+    this._waiters = new Set()
+    // 登陆使用的设备62数据及二次登陆token，用于断线后恢复登陆
+    this.wxData = null
+    this.token = null
+    // 登陆数据存储，及正在进行的登陆数据刷新
+    this._store = options.store || null
+    this._refreshing = null
+    // 当前登陆账号的`userName`及`uin`，登陆后自动获取。用于判断消息发送者、是否被@，及在存储中区分账号
+    this.myInfo = null
+    // 二维码过期时自动刷新的最大次数，及已连续刷新的次数
+    this._qrcodeRefresh = {
+      max : options.refreshQrcode === true ? 5 : Number(options.refreshQrcode) || 0,
+      count : 0,
+    }
+    // 断线自动重连状态
+    this._reconnect = getReconnectOptions(options.reconnect)
+    // 离线指令队列
+    this._queue = getQueueOptions(options.queue)
+    // 连接授权信息
+    this._auth = options.auth || null
+    // 中间件，及有中间件时接收数据的处理队列
+    this._middlewares = []
+    this._recvChain = Promise.resolve()
+    // 心跳检测状态，及最近一次心跳的往返延迟（毫秒）
+    this._heartbeat = getHeartbeatOptions(options.heartbeat)
+    this.latency = null
+    this._disposed = false
+    if (options.autoConnect !== false) {
+      this.start()
+    }
   }
 
   /**
    * 启动websocket连接
    *
+   * @param {object} [socket] - 使用指定的socket对象代替新建ws连接，需实现与`ws`模块相同的事件及`send`方法。
+   * 用于回放录制的数据（见`Replayer`）或测试
+   * @returns {Promise<void>} 已创建ws连接后resolve，不等待连接成功
    * @memberof Padchat
    */
-  async start() {
+  async start(socket) {
+    if (this._disposed) {
+      throw new ConnectionError('实例已销毁!', { code : errorCode.DISPOSED })
+    }
     // 限制启动ws连接间隔时间
-    if (Date.now() - this._lastStartTime < 200) {
-      throw new Error('建立ws连接时间间隔过短!')
+    if (!socket && Date.now() - this._lastStartTime < 200) {
+      throw new ConnectionError('建立ws连接时间间隔过短!', { code : errorCode.START_TOO_FAST })
     }
     this._lastStartTime = Date.now()
-    if (this.ws instanceof Websocket && this.ws.readyState === this.ws.OPEN) {
+    clearTimeout(this._reconnect.timer)
+    this._reconnect.stopped = false
+    stopHeartbeat.call(this)
+    if (isSocketAlive(this.ws)) {
       this.ws.terminate()
     }
-    this.ws = new Websocket(this.url)
-      .on('message', (msg) => {
+    if (socket) {
+      this._endpoints.current = null
+    } else {
+      switchEndpoint.call(this)
+    }
+    const ws = this.ws = socket || new Websocket(this.url)
+    // 忽略已被替换的旧连接上的事件
+    ws
+      .on('message', msg => {
+        if (ws !== this.ws) { return }
+        this._event.emit('frame', 'in', msg)
         onWsMsg.call(this, msg)
       })
       .on('open', () => {
-        this.connected = true
-        this.emit('open')
+        if (ws !== this.ws) { return }
+        this._event.emit('frame', 'open')
+        onWsOpen.call(this)
+      })
+      .on('pong', () => {
+        if (ws !== this.ws) { return }
+        onHeartbeat.call(this)
       })
       .on('close', () => {
+        if (ws !== this.ws) { return }
+        this._event.emit('frame', 'close')
+        // 未能连接成功，暂停使用此服务器，并尝试连接其他服务器
+        const failed = !this.connected
+        if (failed) {
+          markEndpoint.call(this, false)
+        }
         this.connected = false
+        setState.call(this, states.disconnected)
+        stopHeartbeat.call(this)
+        const err = new ConnectionError('websocket连接已断开!', { code : errorCode.DISCONNECTED })
+        rejectAllPending.call(this, err)
         this.emit('close')
+        const retrying = (failed && failover.call(this)) || scheduleReconnect.call(this)
+        // 不再重连时，等待状态的调用不会再有结果
+        if (!retrying) {
+          rejectWaiters.call(this, err)
+        }
       })
-      .on('error', (e) => {
-        this.emit('error', e)
+      .on('error', e => {
+        if (ws !== this.ws) { return }
+        this.emit('error', new ConnectionError(`websocket连接异常! err: ${e.message}`, {
+          code : errorCode.SOCKET_ERROR,
+          cause : e,
+        }))
       })
   }
 
@@ -104,12 +271,20 @@ class Padchat extends EventEmitter {
   */
   async _send(data) {
     return new Promise((resolve, reject) => {
-      if (!this.connected || !(this.ws instanceof Websocket)) {
-        reject('websocket未连接!')
+      if (!this.ws || this.ws.readyState !== Websocket.OPEN) {
+        reject(new ConnectionError('websocket未连接!', { cmd : data.cmd, cmdId : data.cmdId }))
+        return
       }
-      this.ws.send(JSON.stringify(data), e => {
+      const frame = JSON.stringify(data)
+      this._event.emit('frame', 'out', frame)
+      this.ws.send(frame, e => {
         if (e) {
-          reject(new Error(`ws发送数据失败! err: ${e.message}`))
+          reject(new ConnectionError(`ws发送数据失败! err: ${e.message}`, {
+            code : errorCode.SEND_FAILED,
+            cmd : data.cmd,
+            cmdId : data.cmdId,
+            cause : e,
+          }))
         } else {
           resolve(true)
         }
@@ -120,31 +295,169 @@ class Padchat extends EventEmitter {
   /**
   * 包装ws发送数据
   *
+  * 发送后等待对应`cmdId`的返回结果。超时、取消或ws连接断开时，返回的Promise会被reject
+  *
+  * 启用离线队列时，ws未连接或正在恢复会话期间发送的数据会先加入队列。
+  * 发送前会依次调用中间件的`beforeSend`钩子，加入离线队列的指令只在加入队列前调用一次
+  *
   * @param {object} data - 要发送的数据
-  * @param {number} timeout - 发送超时时间
+  * @param {object|number} [options] - 发送选项，传入数字时作为超时时间
+  * @param {number} [options.timeout] - 等待返回结果的超时时间，单位毫秒，默认为`sendTimeout`
+  * @param {AbortSignal} [options.signal] - 用于取消等待的信号
+  * @param {boolean} [options.force] - 不经过离线队列，在授权完成前也直接发送
   * @returns {Promise<object>} 返回ws处理结果
   * @private
   * @memberof Padchat
   */
-  async asyncSend(data, timeout = 30000) {
+  async asyncSend(data, options = {}) {
+    if (typeof options === 'number') {
+      options = { timeout : options }
+    }
     if (!data.cmdId) {
       data.cmdId = UUID.v1()
     }
-    return new Promise((res, rej) => {
-      try {
-        getCmdRecv.call(this, data.cmdId, timeout)
-          .then(data => {
-            // console.info('getCmdRecv ret data:', data)
-            res(data.data)
-          })
-        this._send(data)
-          .then(async ret => {
-            // console.info('asyncSend ret: %s', ret)
-            return ret
-          })
-      } catch (e) {
-        rej(e)
+    if (this._disposed) {
+      throw new ConnectionError('实例已销毁!', { code : errorCode.DISPOSED, cmd : data.cmd, cmdId : data.cmdId })
+    }
+    if (hasMiddleware.call(this, 'beforeSend')) {
+      const ret = await runBeforeSend.call(this, data)
+      if (ret !== undefined) {
+        return ret
+      }
+    }
+    return await sendPacket.call(this, data, options)
+  }
+
+  /**
+  * 添加中间件
+  *
+  * 中间件按添加顺序执行，每个钩子都可以是async函数，用于延迟后续处理。钩子的第二个参数为当前实例。
+  *
+  * 钩子 | 说明
+  * ---- | ----
+  * beforeSend(packet) | 发送数据包（`type`/`cmd`/`cmdId`/`data`）前调用，可直接修改`packet`。返回值不为`undefined`时，将其作为指令返回结果，不再发送
+  * afterReceive(frame) | 收到并解析ws数据后、触发事件前调用。返回`false`丢弃此数据，返回object替换此数据
+  * onPush(item) | 触发`push`事件前对每条推送消息调用。返回`false`丢弃此消息，返回object替换此消息
+  *
+  * 钩子抛出的异常（`PadchatError`除外）会包装为`code`为`ERR_MIDDLEWARE`的`PadchatError`，原异常为`cause`。
+  * `beforeSend`中的异常使指令reject，`afterReceive`及`onPush`中的异常通过`error`事件触发，并丢弃此数据
+  *
+  * @example <caption>记录指令耗时</caption>
+  * wx.use({
+  *   beforeSend(packet) {
+  *     packet.startTime = Date.now()
+  *   },
+  *   afterReceive(frame) {
+  *     if (frame.type === 'cmdRet') console.log('指令 %s 返回', frame.cmdId)
+  *   },
+  *   onPush(item) {
+  *     // 丢弃公众号推送
+  *     if (/^gh_/.test(item.fromUser)) return false
+  *   },
+  * })
+  *
+  * @param {object} middleware - 中间件，包含`beforeSend`/`afterReceive`/`onPush`中的一个或多个钩子
+  * @returns {Padchat} 当前实例，便于链式调用
+  * @memberof Padchat
+  */
+  use(middleware) {
+    const hooks = ['beforeSend', 'afterReceive', 'onPush']
+    if (!middleware || !hooks.some(name => typeof middleware[name] === 'function')) {
+      throw new ValidationError('中间件至少需要包含一个钩子函数: ' + hooks.join('/'))
+    }
+    this._middlewares.push(middleware)
+    return this
+  }
+
+  /**
+  * 当前生命周期状态
+  *
+  * 状态 | 说明
+  * ---- | ----
+  * disconnected | 未连接
+  * connected | 已连接服务器（启用授权时为授权通过）
+  * initialized | 已初始化实例
+  * awaiting_scan | 已推送登陆二维码，等待扫码
+  * logged_in | 已登陆
+  * contacts_loaded | 通讯录载入完毕
+  * logged_out | 已注销登录，可重新登陆
+  *
+  * 实例注销（`over`事件）后回到`connected`状态，连接断开后回到`disconnected`状态。
+  * 可使用`Padchat.states`中的常量进行比较
+  *
+  * @readonly
+  * @memberof Padchat
+  */
+  get state() {
+    return this._state
+  }
+
+  /**
+  * 等待进入指定状态
+  *
+  * `connected`/`initialized`/`awaiting_scan`/`logged_in`/`contacts_loaded`按此顺序视为递进的状态，
+  * 当前已处于更后面的状态时立即resolve（如已载入通讯录时等待`logged_in`）；`disconnected`/`logged_out`需完全一致。
+  * `logged_out`状态下实例仍处于初始化状态，等待`connected`/`initialized`也会立即resolve
+  *
+  * @example
+  * await wx.waitFor('contacts_loaded', { timeout: 60 * 1000 })
+  *
+  * @param {string} state - 要等待的状态，见`state`
+  * @param {object|number} [options] - 选项，传入数字时作为`timeout`
+  * @param {number} [options.timeout] - 超时时间，单位毫秒，超时后reject一个`TimeoutError`。默认不限制
+  * <br>ws连接断开且不再重连，或任务实例注销（`over`事件）时reject一个`ConnectionError`（`err.code`为`ERR_DISCONNECTED`），等待`disconnected`状态时除外
+  * @returns {Promise<string>} 进入指定状态后resolve当前状态
+  * @memberof Padchat
+  */
+  waitFor(state, options = {}) {
+    if (typeof options === 'number') {
+      options = { timeout : options }
+    }
+    if (!Object.keys(states).some(key => states[key] === state)) {
+      return Promise.reject(new ValidationError('未知的状态: ' + state))
+    }
+    if (isStateReached(this.state, state)) {
+      return Promise.resolve(this.state)
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        state,
+        timer : null,
+        settle : (err, current) => {
+          clearTimeout(waiter.timer)
+          this._waiters.delete(waiter)
+          if (err) {
+            reject(err)
+          } else {
+            resolve(current)
+          }
+        },
+      }
+      if (options.timeout) {
+        waiter.timer = setTimeout(() => {
+          waiter.settle(new TimeoutError(`等待状态超时! 状态: ${state}`))
+        }, options.timeout)
       }
+      this._waiters.add(waiter)
+    })
+  }
+
+  /**
+  * 获取使用指定发送选项的实例
+  *
+  * 返回的对象可调用所有接口，调用时使用此处指定的选项，不影响原实例
+  *
+  * @example <caption>单次调用使用严格模式</caption>
+  * const data = await wx.withOptions({ strict: true }).sendMsg('filehelper', 'hi')
+  *
+  * @param {object} options - 发送选项，见`asyncSend`，另支持`strict`
+  * @returns {Padchat} 使用指定选项的实例
+  * @memberof Padchat
+  */
+  withOptions(options = {}) {
+    return Object.create(this, {
+      _root : { value : this._root || this },
+      _cmdOptions : { value : Object.assign({}, this._cmdOptions, options) },
     })
   }
 
@@ -153,30 +466,52 @@ class Padchat extends EventEmitter {
   *
   * @param {string} cmd - 要操作的接口
   * @param {object} data - 要发送的数据
+  * @param {object} [options] - 发送选项，见`asyncSend`
+  * @param {boolean} [options.strict] - 是否使用严格模式，默认使用实例的`strict`配置
   * @returns {Promise<object>} 返回ws处理结果
   * @private
   * @memberof Padchat
   */
-  async sendCmd(cmd, data = {}) {
+  async sendCmd(cmd, data = {}, options = {}) {
     if (data.rawMsgData) {
       // 清洗掉无用而占空间的字段
       data.rawMsgData = clearRawMsg(data.rawMsgData)
       data.rawMsgData = Helper.toUnderLine(data.rawMsgData)
     }
 
-    return await this.asyncSend({
-      type: 'user',
+    options = getCmdOptions.call(this, options)
+    const packet = {
+      type : 'user',
       cmd,
       data,
-    })
-      .then(ret => {
-        // 用于抓取操作接口对应的返回数据，便于写入文档
-        this.emit('cmdRet', cmd, ret)
-        return ret
-      })
-      .catch(e => {
-        throw e
-      })
+    }
+    const ret = await this.asyncSend(packet, options)
+    recordCmdRet.call(this, cmd, data, ret)
+    // 用于抓取操作接口对应的返回数据，便于写入文档
+    this.emit('cmdRet', cmd, ret)
+    return options.strict ? checkResult(packet, ret) : ret
+  }
+
+  /**
+  * 发送系统指令
+  *
+  * 系统指令用于操作服务器本身（如连接授权、查询任务状态等），与微信账号无关
+  *
+  * @param {string} cmd - 要操作的系统接口
+  * @param {object} [data={}] - 要发送的数据
+  * @param {object} [options] - 发送选项，见`asyncSend`
+  * @returns {Promise<object>} 返回Promise<object>，注意捕捉catch
+  * @memberof Padchat
+  */
+  async sendSysCmd(cmd, data = {}, options = {}) {
+    options = getCmdOptions.call(this, options)
+    const packet = {
+      type : 'sys',
+      cmd,
+      data,
+    }
+    const ret = await this.asyncSend(packet, options)
+    return options.strict ? checkResult(packet, ret) : ret
   }
 
   /**
@@ -205,6 +540,67 @@ class Padchat extends EventEmitter {
     return await this.sendCmd('close')
   }
 
+  /**
+  * 销毁实例
+  *
+  * 依次进行以下操作，销毁后实例不能再使用：
+  * 1. 按选项注销登录或关闭任务实例（失败时忽略）
+  * 2. 停止自动重连及心跳检测
+  * 3. 丢弃离线队列中的指令，reject所有等待返回结果的指令及`waitFor`调用（`err.code`为`ERR_DISPOSED`，等待`disconnected`状态的会resolve）
+  * 4. 断开ws连接
+  * 5. 移除所有事件监听
+  *
+  * @example
+  * await wx.dispose({ close: true })
+  *
+  * @param {object} [options] - 选项
+  * @param {boolean} [options.logout=false] - 销毁前注销登录（账号退出）
+  * @param {boolean} [options.close=false] - 销毁前关闭任务实例（账号不退出）
+  * @param {number} [options.timeout=5000] - 等待注销或关闭结果的超时时间，单位毫秒
+  * @returns {Promise<void>} 销毁完毕后resolve
+  * @memberof Padchat
+  */
+  async dispose(options = {}) {
+    const root = this._root || this
+    if (root._disposed) {
+      return
+    }
+    let cmd = null
+    if (options.logout) {
+      cmd = 'logout'
+    } else if (options.close) {
+      cmd = 'close'
+    }
+    if (cmd && root.connected) {
+      await root.sendCmd(cmd, {}, { strict : false, force : true, timeout : options.timeout || 5000 })
+        .catch(() => { })
+    }
+    root._disposed = true
+
+    clearTimeout(root._reconnect.timer)
+    root._reconnect.stopped = true
+    stopHeartbeat.call(root)
+
+    const err = new ConnectionError('实例已销毁!', { code : errorCode.DISPOSED })
+    root._queue.items.slice().forEach(item => {
+      removeQueued.call(root, item)
+      item.reject(new ConnectionError(err.message, { code : err.code, cmd : item.data.cmd, cmdId : item.data.cmdId }))
+    })
+    rejectAllPending.call(root, err)
+    rejectWaiters.call(root, err)
+
+    const ws = root.ws
+    root.ws = {}
+    if (isSocketAlive(ws)) {
+      ws.terminate()
+    }
+    root.connected = false
+    setState.call(root, states.disconnected)
+
+    root.removeAllListeners()
+    root._event.removeAllListeners()
+  }
+
   /**
   * 登录账号
   * 首次登录不需要传入`wxData`，登陆成功后本地保存`wxData`和`token`，以后使用断线重连或二次登陆，可降低封号概率。
@@ -262,32 +658,32 @@ class Padchat extends EventEmitter {
   */
   async login(type = 'qrcode', data = {}) {
     const _data = {
-      loginType: '',
-      wxData   : data.wxData || null,
+      loginType : '',
+      wxData : data.wxData || null,
     }
     if (!loginType[type]) {
-      throw new Error('login type error!')
+      throw new ValidationError('login type error!', { cmd : 'login' })
     }
 
     switch (type) {
       case loginType.token:
       case loginType.request:
         if (!data.token || !data.wxData) {
-          throw new Error('login data error!')
+          throw new ValidationError('login data error!', { cmd : 'login' })
         }
         _data.token = data.token || null
         break
       case loginType.phone:
         if (!data.phone) {
           // code
-          throw new Error('login data error!')
+          throw new ValidationError('login data error!', { cmd : 'login' })
         }
         _data.phone = data.phone
-        _data.code  = data.code
+        _data.code = data.code
         break
       case loginType.user:
         if (!data.username || !data.password) {
-          throw new Error('login data error!')
+          throw new ValidationError('login data error!', { cmd : 'login' })
         }
         _data.username = data.username
         _data.password = data.password
@@ -299,6 +695,188 @@ class Padchat extends EventEmitter {
     return await this.sendCmd('login', _data)
   }
 
+  /**
+  * 自动登陆
+  *
+  * 按以下顺序尝试登陆，并在登陆成功后获取并保存最新的登陆数据：
+  * 1. 如果未初始化，先调用`init()`
+  * 2. 有`wxData`和`token`时，依次尝试`token`（断线重连）及`request`（二次登陆）方式
+  * 3. 以上均失败时使用`qrcode`方式（会使用已有的`wxData`），等待扫码登陆
+  *
+  * 登陆成功后，已有`wxData`时不再获取（使用62数据登陆后获取到的62数据是无效的），并获取最新的`token`。
+  * 如果传入了`store`，会先从中读取登陆数据，登陆成功后再将最新的登陆数据写入
+  *
+  * @example
+  * wx.on('qrcode', data => showQrcode(data.url))
+  * await wx.waitFor('connected')
+  * const { loginType } = await wx.autoLogin({ store, timeout: 5 * 60 * 1000 })
+  *
+  * @param {object} [options] - 选项
+  * @param {object} [options.store] - 登陆数据存储，默认使用构造函数中的`store`选项。
+  * 需实现`load(key)`及`save(data)`方法（可返回Promise），见`CredentialStore`
+  * @param {string|number} [options.account] - 要登陆账号的`userName`或`uin`，用于从存储中读取登陆数据。默认为最近保存的账号
+  * @param {number} [options.timeout] - 等待登陆成功的超时时间，单位毫秒。默认不限制
+  * @returns {Promise<object>} 登陆成功后resolve，`loginType`为最终成功的登陆方式
+  * ```
+  {
+    loginType: 'token'   // token/request/qrcode
+  }
+  * ```
+  * @memberof Padchat
+  */
+  async autoLogin(options = {}) {
+    const root = this._root || this
+    const wx   = this.withOptions({ strict : false })
+    if (options.store) {
+      root._store = options.store
+    }
+    if (root._store) {
+      const data = await root._store.load(options.account) || {}
+      root.wxData = root.wxData || data.wxData || null
+      root.token = root.token || data.token || null
+    }
+
+    await initIfNeeded.call(root)
+
+    let ret
+    let type = null
+    if (root.wxData && root.token) {
+      for (const item of [loginType.token, loginType.request]) {
+        ret = await wx.login(item, { wxData : root.wxData, token : root.token })
+        if (ret.success) {
+          type = item
+          break
+        }
+      }
+    }
+    if (!type) {
+      ret = await wx.login(loginType.qrcode, { wxData : root.wxData })
+      if (!ret.success) {
+        throw new ServerError('自动登陆时请求扫码登陆失败! err: ' + ret.error, { cmd : 'login', result : ret })
+      }
+      type = loginType.qrcode
+    }
+
+    await waitLoggedIn.call(root, options.timeout)
+    return { loginType : type }
+  }
+
+  /**
+  * 交互式登陆
+  *
+  * 用于需要用户输入的手机验证码登陆及账号密码登陆，由`prompt`回调获取用户输入，sdk负责完成整个多步骤的登陆流程：
+  * - `phone`：获取手机号（未传入`phone`时），请求发送验证码，再获取验证码并提交。验证码错误时重新获取验证码
+  * - `user`：获取账号及密码（未传入时），提交登陆。密码错误时重新获取密码
+  *
+  * 登陆过程中服务器通过`warn`事件推送的提示（如需要在手机上进行安全验证），会以`verify`调用`prompt`，
+  * 待`prompt`返回（用户完成验证）后再次提交。
+  *
+  * `prompt(kind, info)`的`kind`为`phone`/`code`/`username`/`password`/`verify`，
+  * `info`包含本次尝试次数`attempt`及上次失败的原因`error`（首次为`null`）。
+  * 返回用户输入的文本（`verify`时返回值被忽略），返回空值时取消登陆
+  *
+  * @example
+  * const readline = require('readline')
+  * const rl       = readline.createInterface({ input: process.stdin, output: process.stdout })
+  * const ask      = question => new Promise(resolve => rl.question(question, resolve))
+  *
+  * await wx.promptLogin('phone', {
+  *   phone : '13512345678',
+  *   prompt: (kind, { error }) => {
+  *     if (error) console.log(error.message)
+  *     return ask(kind === 'verify' ? '请在手机上完成验证后按回车' : `请输入${kind}: `)
+  *   },
+  * })
+  *
+  * @param {string} type - 登陆类型：`phone`/`user`
+  * @param {object} options - 选项
+  * @param {function} options.prompt - 获取用户输入的回调`(kind, info) => string|Promise<string>`
+  * @param {string} [options.phone] - 手机号
+  * @param {string} [options.username] - 用户名/qq号/手机号
+  * @param {string} [options.password] - 密码
+  * @param {number} [options.retries=3] - 验证码或密码错误时的最大重试次数
+  * @param {number} [options.timeout] - 提交成功后等待登陆的超时时间，单位毫秒。默认不限制
+  * @returns {Promise<object>} 登陆成功后resolve
+  * ```
+  {
+    loginType: 'phone',  // phone/user
+    attempts : 1         // 提交的次数
+  }
+  * ```
+  * @memberof Padchat
+  */
+  async promptLogin(type, options = {}) {
+    const root   = this._root || this
+    const prompt = options.prompt
+    if (type !== loginType.phone && type !== loginType.user) {
+      throw new ValidationError('交互式登陆只支持phone及user类型!', { cmd : 'login' })
+    }
+    if (typeof prompt !== 'function') {
+      throw new ValidationError('交互式登陆需要提供prompt回调!', { cmd : 'login' })
+    }
+    const retries = options.retries === undefined ? 3 : options.retries
+    const ask     = async (kind, info) => {
+      const value = await prompt(kind, info)
+      if (kind !== 'verify' && (value === undefined || value === null || String(value).trim() === '')) {
+        throw new PadchatError('已取消登陆!', { code : errorCode.ABORTED, cmd : 'login' })
+      }
+      return kind === 'verify' ? value : String(value).trim()
+    }
+
+    await initIfNeeded.call(root)
+
+    const data = { wxData : root.wxData }
+    let error  = null
+    if (type === loginType.phone) {
+      data.phone = options.phone || await ask('phone', { attempt : 1, error })
+      // 不带验证码提交，请求发送验证码
+      const ret = await submitLogin.call(root, type, data)
+      if (!ret.success) {
+        throw new ServerError('请求发送验证码失败! err: ' + ret.error, { cmd : 'login', result : ret })
+      }
+    } else {
+      data.username = options.username || await ask('username', { attempt : 1, error })
+    }
+
+    let attempt  = 0
+    let verifies = 0
+    let resubmit = false
+    while (resubmit || attempt <= retries) {
+      if (!resubmit) {
+        attempt++
+        const info = { attempt, error }
+        if (type === loginType.phone) {
+          data.code = await ask('code', info)
+        } else {
+          data.password = attempt === 1 && options.password ? options.password : await ask('password', info)
+        }
+      }
+      resubmit = false
+
+      const ret = await submitLogin.call(root, type, data)
+      if (ret.success) {
+        await waitLoggedIn.call(root, options.timeout)
+        return { loginType : type, attempts : attempt }
+      }
+      error = ret.warn || new ServerError('登陆失败! err: ' + ret.error, {
+        cmd : 'login',
+        status : ret.data && ret.data.status,
+        result : ret,
+      })
+      // 需要进行安全验证，等待用户完成后使用相同的数据再次提交
+      if (ret.warn && verifies < retries) {
+        verifies++
+        await ask('verify', { attempt, error })
+        resubmit = true
+      }
+    }
+    throw new ServerError(`登陆失败，已重试${retries}次! err: ${error.message}`, {
+      code : errorCode.LOGIN_FAILED,
+      cmd : 'login',
+      cause : error,
+    })
+  }
+
   /**
   * 获取设备62数据
   *
@@ -390,7 +968,7 @@ class Padchat extends EventEmitter {
   */
   async syncContact(reset = false) {
     return await this.sendCmd('syncContact', {
-      reset
+      reset,
     })
   }
 
@@ -443,7 +1021,10 @@ class Padchat extends EventEmitter {
   * @memberof Padchat
   */
   async massMsg(userList = [], content) {
-    return new Error('此接口存在问题，停用!')
+    throw new PadchatError('此接口存在问题，停用!', {
+      code : errorCode.DEPRECATED,
+      cmd : 'massMsg',
+    })
     // return await this.sendCmd('massMsg', {
     //   userList,
     //   content,
@@ -566,7 +1147,7 @@ class Padchat extends EventEmitter {
     return await this.sendCmd('sendVoice', {
       toUserName,
       file,
-      time: time * 1
+      time : time * 1,
     })
   }
 
@@ -881,7 +1462,7 @@ class Padchat extends EventEmitter {
   async getRoomQrcode(groupId) {
     return await this.sendCmd('getRoomQrcode', {
       groupId,
-      style: 0,
+      style : 0,
     })
   }
 
@@ -2314,32 +2895,154 @@ class Padchat extends EventEmitter {
   }
 }
 /**
- * 等待指定cmdId返回
+ * 合并指令的发送选项
+ *
+ * 优先级：调用时传入的选项 > `withOptions`指定的选项 > 实例配置
+ *
+ * @param {object} [options] - 调用时传入的选项
+ * @private
+ * @returns {object} 合并后的选项
+ */
+function getCmdOptions(options) {
+  return Object.assign({ strict : this.strict }, this._cmdOptions, options)
+}
+
+/**
+ * 严格模式下检查指令执行结果
+ *
+ * @param {object} packet - 发送的数据包
+ * @param {object} ret - 指令返回结果
+ * @private
+ * @returns {object} 执行成功时返回结果中的`data`字段
+ */
+function checkResult(packet, ret) {
+  const data   = (ret && ret.data) || {}
+  const status = data.status
+  if (!ret || ret.success === false || (typeof status === 'number' && status !== 0)) {
+    throw new ServerError(`接口执行失败! 指令: ${packet.cmd}，err: ${(ret && ret.error) || data.message || ''}`, {
+      cmd : packet.cmd,
+      cmdId : packet.cmdId,
+      status,
+      result : ret,
+    })
+  }
+  return ret.data
+}
+
+/**
+ * 记录登陆相关指令的执行结果，用于断线后恢复会话
  *
- * @param {string} cmdId - 要监听的cmdId
- * @param {number} [timeout=3000] 超时时间默认为3秒
+ * @param {string} cmd - 指令
+ * @param {object} data - 发送的数据
+ * @param {object} ret - 指令返回结果
  * @private
- * @returns {Promise<object>}
+ * @returns {void}
  */
-async function getCmdRecv(cmdId, timeout = 3000) {
-  if (!cmdId) {
-    throw new Error('未指定cmdID！')
+function recordCmdRet(cmd, data, ret) {
+  // 通过`withOptions`获取的实例，需记录到原实例上
+  const root = this._root || this
+  if (!ret || !ret.success) {
+    return
+  }
+  switch (cmd) {
+    case 'init':
+      root._initialized = true
+      // 处理返回结果前可能已经收到了后续的`qrcode`/`login`等事件，不再回退状态
+      if (root._state === states.connected) {
+        setState.call(root, states.initialized)
+      }
+      break
+    case 'login':
+      if (data.wxData) {
+        root.wxData = data.wxData
+      }
+      break
+    case 'getWxData':
+      // 已有62数据时不再替换，使用62数据登陆后获取到的62数据是无效的
+      if (ret.data && !root.wxData) {
+        root.wxData = ret.data.wxData
+      }
+      break
+    case 'getLoginToken':
+      if (ret.data) {
+        root.token = ret.data.token
+      }
+      break
+    default:
+      break
   }
-  cmdId = 'RET#' + cmdId
-  // console.log('进入 getCmdRecv，应该监听: %s', cmdId)
+}
+
+/**
+ * 登记等待返回结果的指令
+ *
+ * @param {object} data - 要发送的数据，需包含`cmdId`
+ * @param {object} options - 发送选项，见`asyncSend`
+ * @private
+ * @returns {Promise<object>} 收到返回结果时resolve，超时、取消或连接断开时reject
+ */
+function addPending(data, options) {
+  const { cmd, cmdId } = data
+  const timeout        = options.timeout > 0 ? options.timeout : this.sendTimeout
+  const signal         = options.signal
 
-  return new Promise((res, rej) => {
+  return new Promise((resolve, reject) => {
+    const entry = { cmd, resolve, reject, signal }
     // 如果某操作超过指定时间没有返回结果，则认为是操作超时
-    const timeOutHandle = setTimeout(() => {
-      this.removeAllListeners(cmdId)
-      rej(new Error('等待指令操作结果超时！当前超时时间为:' + timeout * 1000))
-    }, timeout * 1000)
+    entry.timer = setTimeout(() => {
+      settlePending.call(this, cmdId, new TimeoutError(`等待指令操作结果超时! 指令: ${cmd}，当前超时时间为: ${timeout}ms`, { cmd, cmdId }))
+    }, timeout)
+    if (signal) {
+      entry.onAbort = () => {
+        settlePending.call(this, cmdId, new PadchatError(`指令已取消! 指令: ${cmd}`, {
+          code : errorCode.ABORTED,
+          cmd,
+          cmdId,
+        }))
+      }
+      signal.addEventListener('abort', entry.onAbort)
+    }
+    this._pending.set(cmdId, entry)
+  })
+}
 
-    this.once(cmdId, data => {
-      // console.log('监听到 %s 事件', cmdId, data)
-      clearTimeout(timeOutHandle)
-      res(data)
-    })
+/**
+ * 结束等待中的指令
+ *
+ * @param {string} cmdId - 指令id
+ * @param {Error} [err] - 传入时reject此指令
+ * @param {object} [ret] - 指令返回结果
+ * @private
+ * @returns {boolean} 是否存在等待中的此指令
+ */
+function settlePending(cmdId, err, ret) {
+  const entry = this._pending.get(cmdId)
+  if (!entry) {
+    return false
+  }
+  this._pending.delete(cmdId)
+  clearTimeout(entry.timer)
+  if (entry.signal) {
+    entry.signal.removeEventListener('abort', entry.onAbort)
+  }
+  if (err) {
+    entry.reject(err)
+  } else {
+    entry.resolve(ret)
+  }
+  return true
+}
+
+/**
+ * reject所有等待中的指令
+ *
+ * @param {Error} err - 错误信息
+ * @private
+ * @returns {void}
+ */
+function rejectAllPending(err) {
+  Array.from(this._pending.keys()).forEach(cmdId => {
+    settlePending.call(this, cmdId, err)
   })
 }
 
@@ -2348,6 +3051,7 @@ async function getCmdRecv(cmdId, timeout = 3000) {
  *
  * @param {string} msg - ws连接接收到的文本消息
  * @private
+ * @returns {void}
  */
 function onWsMsg(msg) {
   let data
@@ -2359,24 +3063,38 @@ function onWsMsg(msg) {
       throw new Error('ws传输的数据不是字符串格式！')
     }
   } catch (e) {
-    this.emit('error', new Error('解析msg数据失败: ' + e.message))
+    this.emit('error', new PadchatError('解析msg数据失败: ' + e.message, {
+      code : errorCode.INVALID_DATA,
+      cause : e,
+    }))
     return
   }
 
+  if ((data.type === 'sysEvent' || data.type === 'log') && typeof data.data === 'string') {
+    try {
+      // 解析系统事件及服务器日志的json文本
+      data.data = JSON.parse(data.data)
+    } catch (e) {
+      // 不是json文本时保留原始内容
+    }
+  }
+
   if (data.data) {
     if (data.data.data) {
       // 解析扩展数据的json文本
 
       if (data.data.data.external) {
         try {
-          //解析红包及转账接口返回数据
+          // 解析红包及转账接口返回数据
           data.data.data.external = JSON.parse(data.data.data.external)
-        } catch (e) { }
+        } catch (e) {
+          // 不是json文本时保留原始内容
+        }
       }
 
       if (data.data.data.info) {
         try {
-          //解析公众号接口返回数据
+          // 解析公众号接口返回数据
           data.data.data.info = JSON.parse(data.data.data.info)
 
           const info   = data.data.data.info
@@ -2397,40 +3115,69 @@ function onWsMsg(msg) {
             if (!info[field]) { return }
             try {
               info[field] = JSON.parse(info[field])
-            } catch (e) { }
+            } catch (e) {
+              // 不是json文本时保留原始内容
+            }
           })
 
-          //解析`searchMp`接口返回数据字段
+          // 解析`searchMp`接口返回数据字段
           info.data.forEach((d_item, d_index) => {
-            //第一层数组
+            // 第一层数组
             if (!d_item.items) { return }
             const _item = info.data[d_index]
 
             _item.items.forEach((item, index) => {
-              //第二层数组，即真实的搜索结果列表
+              // 第二层数组，即真实的搜索结果列表
               const _item2 = _item.items[index]
               fields.forEach(field => {
                 if (!_item2[field]) { return }
                 try {
                   _item2[field] = JSON.parse(_item2[field])
-                } catch (e) { }
+                } catch (e) {
+                  // 不是json文本时保留原始内容
+                }
               })
             })
           })
-        } catch (e) { }
+        } catch (e) {
+          // 不是json文本时保留原始内容
+        }
       }
 
       if (data.data.data.member) {
         try {
-          //解析获取群成员接口返回数据
+          // 解析获取群成员接口返回数据
           data.data.data.member = JSON.parse(data.data.data.member)
-        } catch (e) { }
+        } catch (e) {
+          // 不是json文本时保留原始内容
+        }
       }
     }
     // 转小驼峰
     data.data = Helper.toCamelCase(data.data)
   }
 
+  if (!hasMiddleware.call(this, 'afterReceive', 'onPush')) {
+    dispatchMsg.call(this, data)
+    return
+  }
+  // 有中间件时，按接收顺序依次处理，避免异步钩子打乱顺序
+  this._recvChain = this._recvChain
+    .then(() => runReceiveHooks.call(this, 'afterReceive', data))
+    .then(data => data && dispatchMsg.call(this, data))
+    .catch(e => {
+      this.emit('error', e)
+    })
+}
+
+/**
+ * 分发ws接收到的数据，触发对应事件
+ *
+ * @param {object} data - 解析后的数据
+ * @private
+ * @returns {Promise<void>|undefined} 有`onPush`中间件时，返回推送消息处理完毕的Promise
+ */
+function dispatchMsg(data) {
   this.emit('msg', data)
   // TODO: 补充push数据格式
 
@@ -2474,12 +3221,16 @@ function onWsMsg(msg) {
    */
 
   let hasOn
+  let list
   switch (data.type) {
     case 'cmdRet':
       if (data.type === 'cmdRet' && data.cmdId) {
-        hasOn = this.emit('RET#' + data.cmdId, data)
+        hasOn = settlePending.call(this, data.cmdId, null, data.data)
         if (!hasOn) {
-          this.emit('warn', new Error(`返回执行结果没有被监听！指令ID:${data.cmdId}`))
+          this.emit('warn', new PadchatError(`返回执行结果没有被监听！指令ID:${data.cmdId}`, {
+            code : errorCode.UNHANDLED_RET,
+            cmdId : data.cmdId,
+          }))
         }
       }
       break;
@@ -2488,22 +3239,54 @@ function onWsMsg(msg) {
       switch (data.event) {
         case 'warn':
           // 如果success字段为true，则为不严重的问题
-          this.emit('warn', new Error('服务器返回错误提示：' + data.data.error), data.success)
+          this.emit('warn', new ServerError('服务器返回错误提示：' + data.data.error, {
+            code : errorCode.SERVER_WARN,
+            status : data.data.status,
+          }), data.success)
+          break
+        case 'login':   // 微信账号登陆成功
+          setState.call(this, states.loggedIn)
+          this._qrcodeRefresh.count = 0
+          this.emit(data.event, data.data || {}, data.data.msg)
+          this._refreshing = onLogin.call(this)
+          this._refreshing
+            .catch(e => {
+              this.emit('warn', e)
+            })
+          break
+        case 'logout':   // 微信账号退出
+          // 账号退出后，二次登陆token失效
+          this.token = null
+          setState.call(this, states.loggedOut)
+          this.emit(data.event, data.data || {}, data.data.msg)
+          break
+        case 'over':   // 实例注销（账号不退出）
+          this._initialized = false
+          rejectWaiters.call(this, new ConnectionError('任务实例已注销!', { code : errorCode.DISCONNECTED }))
+          setState.call(this, this.connected ? states.connected : states.disconnected)
+          this.emit(data.event, data.data || {}, data.data.msg)
           break
         case 'qrcode':   // 微信扫码登陆，推送二维码
-        case 'scan'  :   // 微信账号扫码事件
-        case 'login' :   // 微信账号登陆成功
+          setState.call(this, states.awaitingScan)
+          this.emit(data.event, data.data || {}, data.data.msg)
+          break
         case 'loaded':   // 通讯录载入完毕
-        case 'logout':   // 微信账号退出
-        case 'over'  :   // 实例注销（账号不退出）
-        case 'sns'   :   // 朋友圈事件：新评论
+          setState.call(this, states.contactsLoaded)
+          this.emit(data.event, data.data || {}, data.data.msg)
+          break
+        case 'scan':     // 微信账号扫码事件
+          this.emit(data.event, data.data || {}, data.data.msg)
+          onScan.call(this, data.data || {})
+          break
+        case 'sns':      // 朋友圈事件：新评论
           this.emit(data.event, data.data || {}, data.data.msg)
           break
         case 'push':
           if (!data.data || !Array.isArray(data.data.list) || data.data.list.length <= 0) {
-            this.emit('error', new Error('推送数据异常！'))
+            this.emit('error', new PadchatError('推送数据异常！', { code : errorCode.INVALID_DATA }))
             break
           }
+          list = []
           data.data.list.forEach(item => {
             const type = item.msgType
             // 过滤无意义的2048和32768类型数据
@@ -2518,16 +3301,24 @@ function onWsMsg(msg) {
               try {
                 item.member = JSON.parse(item.member) || []
               } catch (e) {
+                // 不是json文本时保留原始内容
               }
             }
-            this.emit('push', item)
+            list.push(new Message(this, item))
           })
-          break
+          return emitPush.call(this, list)
         default:
           this.emit('other', data)
           break
       }
       break
+    case 'sysEvent':
+      this.emit('sysEvent', data.event, data.data || {}, data)
+      break
+    case 'log':
+      // 非json格式的日志文本，统一包装为object
+      this.emit('serverLog', typeof data.data === 'string' ? { msg : data.data } : data.data || {}, data)
+      break
     default:
       this.emit('other', data)
       break;
@@ -2535,20 +3326,1042 @@ function onWsMsg(msg) {
 }
 
 /**
- * 清除消息结构中多余字段
+ * 如果实例未初始化，先进行初始化
  *
- * @param {object} obj - 要处理的数据结构
  * @private
- * @returns {object}
+ * @returns {Promise<void>} 初始化成功后resolve，失败时reject一个`ServerError`
  */
-function clearRawMsg(obj) {
-  if (typeof obj === 'object') {
-    delete obj.data
+async function initIfNeeded() {
+  if (this._initialized) {
+    return
+  }
+  const ret = await this.withOptions({ strict : false }).init()
+  if (!ret.success) {
+    throw new ServerError('初始化实例失败! err: ' + ret.error, { cmd : 'init', result : ret })
   }
-  return obj
 }
 
-
-Padchat.loginType = loginType
-Padchat.blacklist = blacklist
-module.exports    = Padchat
+/**
+ * 提交登陆请求，并收集提交期间服务器推送的`warn`提示
+ *
+ * 提交失败且收到了提示时，执行结果中会增加`warn`字段
+ *
+ * @param {string} type - 登陆类型
+ * @param {object} data - 登陆数据
+ * @private
+ * @returns {Promise<object>} 执行结果
+ */
+async function submitLogin(type, data) {
+  let warn
+  const onWarn = e => {
+    warn = e
+  }
+  this.on('warn', onWarn)
+  try {
+    const ret = await this.withOptions({ strict : false }).login(type, data)
+    if (!ret.success && warn) {
+      ret.warn = warn
+    }
+    return ret
+  } finally {
+    this.removeListener('warn', onWarn)
+  }
+}
+
+/**
+ * 登陆请求提交成功后，等待登陆成功及登陆数据保存完毕
+ *
+ * @param {number} [timeout] - 超时时间，单位毫秒
+ * @private
+ * @returns {Promise<void>} 登陆成功后resolve
+ */
+async function waitLoggedIn(timeout) {
+  await this.waitFor(states.loggedIn, { timeout })
+  // 收到`login`事件时已开始获取登陆数据，等待其完成。获取失败时通过`warn`事件通知
+  await (this._refreshing || refreshSession.call(this)).catch(() => { })
+}
+
+/**
+ * 根据扫码状态触发对应的事件
+ *
+ * 二维码过期时，如果启用了`refreshQrcode`选项，自动获取新的二维码
+ *
+ * @param {object} data - `scan`事件数据
+ * @private
+ * @returns {void}
+ */
+function onScan(data) {
+  switch (data.status) {
+    case scanStatus.scanned:
+      this.emit('qrcode_scanned', {
+        nickName : data.nickName,
+        headUrl : data.headUrl,
+      }, data)
+      break
+    case scanStatus.confirmed:
+      // `subStatus`为0时登陆成功，为1时已扫码确认但登陆失败
+      if (data.subStatus === 0) {
+        this._qrcodeRefresh.count = 0
+        this.emit('qrcode_confirmed', data)
+      } else {
+        this.emit('qrcode_failed', data)
+      }
+      break
+    case scanStatus.expired:
+      this.emit('qrcode_expired', data)
+      refreshQrcode.call(this)
+      break
+    case scanStatus.cancelled:
+      this.emit('qrcode_cancelled', data)
+      break
+    default:
+      break
+  }
+}
+
+/**
+ * 二维码过期后重新请求扫码登陆
+ *
+ * @private
+ * @returns {void}
+ */
+function refreshQrcode() {
+  const refresh = this._qrcodeRefresh
+  if (refresh.count >= refresh.max) {
+    return
+  }
+  refresh.count++
+  this.withOptions({ strict : true, force : true }).login(loginType.qrcode, { wxData : this.wxData })
+    .catch(e => {
+      this.emit('warn', e)
+    })
+}
+
+/**
+ * 切换生命周期状态，状态变化时触发`stateChange`事件
+ *
+ * @param {string} state - 新状态
+ * @private
+ * @returns {void}
+ */
+function setState(state) {
+  const prev = this._state
+  if (prev === state) {
+    return
+  }
+  this._state = state
+  this.emit('stateChange', state, prev)
+  Array.from(this._waiters).forEach(waiter => {
+    if (isStateReached(state, waiter.state)) {
+      waiter.settle(null, state)
+    }
+  })
+}
+
+/**
+ * reject所有等待状态的`waitFor`调用，等待`disconnected`状态的除外
+ *
+ * @param {PadchatError} err - 错误
+ * @private
+ * @returns {void}
+ */
+function rejectWaiters(err) {
+  Array.from(this._waiters).forEach(waiter => {
+    if (waiter.state !== states.disconnected) {
+      waiter.settle(err)
+    }
+  })
+}
+
+// 递进状态的顺序，见`waitFor`
+const stateOrder = [
+  states.connected,
+  states.initialized,
+  states.awaitingScan,
+  states.loggedIn,
+  states.contactsLoaded,
+]
+
+/**
+ * 当前状态是否已达到要等待的状态
+ *
+ * @param {string} current - 当前状态
+ * @param {string} target - 要等待的状态
+ * @private
+ * @returns {boolean} 是否已达到
+ */
+function isStateReached(current, target) {
+  if (current === target) {
+    return true
+  }
+  // 注销登录后实例仍处于初始化状态
+  if (current === states.loggedOut) {
+    current = states.initialized
+  }
+  const index = stateOrder.indexOf(target)
+  return index >= 0 && stateOrder.indexOf(current) >= index
+}
+
+/**
+ * socket是否处于连接中或已连接状态
+ *
+ * @param {object} ws - socket对象
+ * @private
+ * @returns {boolean} 是否需要关闭
+ */
+function isSocketAlive(ws) {
+  return !!ws && typeof ws.terminate === 'function' &&
+    (ws.readyState === Websocket.CONNECTING || ws.readyState === Websocket.OPEN)
+}
+
+/**
+ * 格式化断线重连配置
+ *
+ * @param {boolean|object} [opt] - 构造函数中传入的`reconnect`选项
+ * @private
+ * @returns {object} 重连配置及状态
+ */
+function getReconnectOptions(opt) {
+  const ret = Object.assign({
+    retries : Infinity,
+    minDelay : 1000,
+    maxDelay : 30 * 1000,
+    factor : 2,
+    jitter : 0.5,
+  }, opt instanceof Object ? opt : {})
+  // 建立ws连接间隔不能少于200毫秒，见`start`
+  ret.minDelay = Math.max(ret.minDelay, 200)
+  ret.jitter = Math.min(Math.max(ret.jitter, 0), 1)
+  ret.enabled = !!opt
+  ret.attempts = 0
+  ret.timer = null
+  return ret
+}
+
+/**
+ * 计算下次重连前的等待时间（指数退避+随机抖动）
+ *
+ * @param {object} reconnect - 重连配置及状态
+ * @private
+ * @returns {number} 等待时间，单位毫秒
+ */
+function getReconnectDelay(reconnect) {
+  const { minDelay, maxDelay, factor, jitter, attempts } = reconnect
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempts - 1))
+  return Math.max(minDelay, Math.round(delay * (1 - jitter * Math.random())))
+}
+
+/**
+ * ws连接断开后，按配置安排自动重连
+ *
+ * @private
+ * @returns {boolean} 是否已安排重连
+ */
+function scheduleReconnect() {
+  const reconnect = this._reconnect
+  if (!reconnect.enabled || reconnect.stopped) {
+    return false
+  }
+  if (reconnect.attempts >= reconnect.retries) {
+    this.emit('reconnect_failed', reconnect.attempts)
+    reconnect.attempts = 0
+    return false
+  }
+  reconnect.attempts++
+  const delay = getReconnectDelay(reconnect)
+  this.emit('reconnecting', reconnect.attempts, delay)
+  reconnect.timer = setTimeout(() => {
+    this.start()
+      .catch(e => {
+        this.emit('error', e)
+      })
+  }, delay)
+  return true
+}
+
+/**
+ * 格式化服务器列表
+ *
+ * @param {string|Array<string|object>} url - 构造函数中传入的服务器url或列表
+ * @param {object} [opt] - 构造函数中传入的`failover`选项
+ * @private
+ * @returns {object} 服务器列表及状态
+ */
+function getEndpoints(url, opt = {}) {
+  const items = Array.isArray(url) ? url : [url]
+  const list  = items.map(item => {
+    const endpoint = typeof item === 'string' ? { url : item } : Object.assign({}, item)
+    if (!endpoint.url) {
+      throw new ValidationError('服务器url不能为空!')
+    }
+    endpoint.weight = endpoint.weight === undefined ? 1 : Number(endpoint.weight)
+    endpoint.failures = 0
+    endpoint.downUntil = 0
+    return endpoint
+  })
+  if (!list.length) {
+    throw new ValidationError('服务器列表不能为空!')
+  }
+  return {
+    list,
+    // 有任一元素为`{ url, weight }`时，按权重随机选择（未设置权重的为1），否则按顺序优先选择
+    weighted : items.some(item => typeof item !== 'string'),
+    cooldown : opt.cooldown === undefined ? 30 * 1000 : opt.cooldown,
+    current : null,
+    // 上次连接成功后，已尝试连接失败的服务器
+    tried : new Set(),
+  }
+}
+
+/**
+ * 选择本次要连接的服务器
+ *
+ * 优先选择本轮还没有尝试过的服务器，并跳过最近连接失败、仍在暂停期内的服务器。
+ * 如果全部服务器都在暂停期内，则选择最早恢复的服务器
+ *
+ * @private
+ * @returns {object} 服务器
+ */
+function selectEndpoint() {
+  const { list, weighted, tried } = this._endpoints
+  const now                       = Date.now()
+  const untried                   = list.filter(item => !tried.has(item))
+  const candidates                = untried.length ? untried : list
+  const healthy                   = candidates.filter(item => item.downUntil <= now)
+  if (!healthy.length) {
+    return candidates.reduce((prev, item) => (item.downUntil < prev.downUntil ? item : prev))
+  }
+  if (!weighted) {
+    return healthy[0]
+  }
+  const total = healthy.reduce((sum, item) => sum + Math.max(item.weight, 0), 0)
+  let rand    = Math.random() * total
+  for (const item of healthy) {
+    rand -= Math.max(item.weight, 0)
+    if (rand < 0) {
+      return item
+    }
+  }
+  return healthy[0]
+}
+
+/**
+ * 选择服务器，并在与上次连接的服务器不同时触发`server_switched`事件
+ *
+ * @private
+ * @returns {void}
+ */
+function switchEndpoint() {
+  const endpoints = this._endpoints
+  const endpoint  = selectEndpoint.call(this)
+  const prev      = endpoints.current
+  endpoints.current = endpoint
+  this.url = endpoint.url
+  if (prev && prev !== endpoint) {
+    this.emit('server_switched', endpoint.url, prev.url)
+  }
+}
+
+/**
+ * 记录当前服务器的连接结果
+ *
+ * @param {boolean} success - 是否连接成功
+ * @private
+ * @returns {void}
+ */
+function markEndpoint(success) {
+  const endpoint = this._endpoints.current
+  if (!endpoint) {
+    return
+  }
+  if (success) {
+    endpoint.failures = 0
+    endpoint.downUntil = 0
+    this._endpoints.tried.clear()
+    return
+  }
+  endpoint.failures++
+  endpoint.downUntil = Date.now() + this._endpoints.cooldown
+}
+
+/**
+ * 连接失败时，立即连接本轮还没有尝试过的其他服务器
+ *
+ * 首次连接及自动重连均适用，不依赖`reconnect`选项。本轮所有服务器均连接失败后，
+ * 清空尝试记录并返回`false`，由自动重连（如已启用）在等待后开始新的一轮
+ *
+ * @private
+ * @returns {boolean} 是否已安排连接其他服务器
+ */
+function failover() {
+  const endpoints = this._endpoints
+  const current   = endpoints.current
+  // 使用指定的socket或已停止重连时不切换
+  if (!current || this._reconnect.stopped || this._disposed) {
+    return false
+  }
+  endpoints.tried.add(current)
+  if (endpoints.list.every(item => endpoints.tried.has(item))) {
+    endpoints.tried.clear()
+    return false
+  }
+  // 建立ws连接间隔不能少于200毫秒，见`start`。定时器可能比`Date.now()`的计时提前约1毫秒触发，因此多等待10毫秒
+  const delay = Math.max(0, this._lastStartTime + 210 - Date.now())
+  this._reconnect.timer = setTimeout(() => {
+    this.start()
+      .catch(e => {
+        this.emit('error', e)
+      })
+  }, delay)
+  return true
+}
+
+/**
+ * 格式化心跳检测配置
+ *
+ * @param {boolean|object} [opt] - 构造函数中传入的`heartbeat`选项
+ * @private
+ * @returns {object} 心跳配置及状态
+ */
+function getHeartbeatOptions(opt) {
+  const ret = Object.assign({
+    type : 'ping',
+    interval : 30 * 1000,
+    maxMissed : 2,
+  }, opt instanceof Object ? opt : {})
+  ret.enabled = !!opt
+  ret.missed = 0
+  ret.sentAt = 0
+  ret.timer = null
+  return ret
+}
+
+/**
+ * 连接成功后开始心跳检测
+ *
+ * `ping`方式需要socket支持`ping`方法，回放使用的模拟socket等不支持时不进行检测
+ *
+ * @private
+ * @returns {void}
+ */
+function startHeartbeat() {
+  const heartbeat = this._heartbeat
+  stopHeartbeat.call(this)
+  if (!heartbeat.enabled) {
+    return
+  }
+  if (heartbeat.type === 'ping' && typeof this.ws.ping !== 'function') {
+    return
+  }
+  heartbeat.timer = setInterval(() => {
+    sendHeartbeat.call(this)
+  }, heartbeat.interval)
+}
+
+/**
+ * 停止心跳检测
+ *
+ * @private
+ * @returns {void}
+ */
+function stopHeartbeat() {
+  clearInterval(this._heartbeat.timer)
+  this._heartbeat.timer = null
+  this._heartbeat.missed = 0
+}
+
+/**
+ * 发送心跳
+ *
+ * 连续没有回应的次数达到`maxMissed`时，认为连接已失效（如半开连接），强制断开连接，
+ * 由`close`事件触发自动重连
+ *
+ * @private
+ * @returns {void}
+ */
+function sendHeartbeat() {
+  const heartbeat = this._heartbeat
+  const ws        = this.ws
+  if (heartbeat.missed >= heartbeat.maxMissed) {
+    this.emit('warn', new ConnectionError(`连续${heartbeat.missed}次心跳没有回应，断开连接!`, { code : errorCode.HEARTBEAT }))
+    stopHeartbeat.call(this)
+    ws.terminate()
+    return
+  }
+  heartbeat.missed++
+  heartbeat.sentAt = Date.now()
+  if (heartbeat.type === 'ping') {
+    try {
+      ws.ping()
+    } catch (e) {
+      // 发送失败视为没有回应
+    }
+    return
+  }
+  this.sendSysCmd('heartbeat', {}, { force : true, strict : false, timeout : heartbeat.interval })
+    .then(() => {
+      if (ws === this.ws) {
+        onHeartbeat.call(this)
+      }
+    })
+    .catch(() => {
+      // 超时等异常视为没有回应
+    })
+}
+
+/**
+ * 收到心跳回应
+ *
+ * @private
+ * @returns {void}
+ */
+function onHeartbeat() {
+  const heartbeat = this._heartbeat
+  if (!heartbeat.sentAt) {
+    return
+  }
+  heartbeat.missed = 0
+  this.latency = Date.now() - heartbeat.sentAt
+  heartbeat.sentAt = 0
+  this.emit('heartbeat', this.latency)
+}
+
+/**
+ * ws连接建立后的处理
+ *
+ * 如果配置了连接授权，需授权通过后才视为连接成功
+ *
+ * @private
+ * @returns {void}
+ */
+function onWsOpen() {
+  if (!this._auth) {
+    onConnected.call(this)
+    return
+  }
+  const ws = this.ws
+  authorize.call(this)
+    .then(authorized => {
+      if (authorized && ws === this.ws) {
+        onConnected.call(this)
+      }
+    })
+}
+
+/**
+ * 进行连接授权
+ *
+ * 使用`secret`对`key`、时间戳及随机串进行HMAC-SHA256签名，以`sys`类型的`auth`指令发送给服务器。
+ * 服务器拒绝授权时触发`auth_failed`事件，关闭连接并停止自动重连
+ *
+ * @private
+ * @returns {Promise<boolean>} 是否授权通过
+ */
+async function authorize() {
+  const { key, secret } = this._auth
+  const timestamp       = Date.now()
+  const nonce           = UUID.v4()
+  const sign            = crypto.createHmac('sha256', String(secret))
+    .update(`${key}${timestamp}${nonce}`)
+    .digest('hex')
+
+  let ret
+  try {
+    ret = await this.sendSysCmd('auth', {
+      accessKey : key,
+      timestamp,
+      nonce,
+      sign,
+    }, { force : true, strict : false })
+  } catch (e) {
+    // 授权请求超时等异常，断开连接后按配置重连
+    this.emit('error', new ConnectionError('连接授权请求失败! err: ' + e.message, {
+      code : errorCode.AUTH_FAILED,
+      cmd : 'auth',
+      cause : e,
+    }))
+    this.ws.terminate()
+    return false
+  }
+  if (!ret || !ret.success) {
+    this._reconnect.stopped = true
+    this.emit('auth_failed', new ConnectionError('连接授权失败! err: ' + ((ret && ret.error) || ''), {
+      code : errorCode.AUTH_FAILED,
+      cmd : 'auth',
+      status : ret && ret.data && ret.data.status,
+    }))
+    this.ws.close()
+    return false
+  }
+  return true
+}
+
+/**
+ * ws连接成功后的处理
+ *
+ * 如果是自动重连，并且之前已经初始化过实例，则由sdk恢复会话，不再触发`open`事件
+ *
+ * @private
+ * @returns {void}
+ */
+function onConnected() {
+  this.connected = true
+  setState.call(this, states.connected)
+  markEndpoint.call(this, true)
+  const attempts = this._reconnect.attempts
+  this._reconnect.attempts = 0
+  startHeartbeat.call(this)
+  if (attempts > 0 && this._initialized) {
+    this._resuming = true
+    resumeSession.call(this, attempts)
+      .catch(e => {
+        this.emit('error', e)
+      })
+      .then(() => {
+        this._resuming = false
+        flushQueue.call(this)
+      })
+    return
+  }
+  this.emit('open')
+  flushQueue.call(this)
+}
+
+/**
+ * 重连后恢复会话
+ *
+ * 重新初始化实例，如果有保存的`wxData`和`token`，则依次尝试断线重连和二次登陆。
+ * 这期间的指令直接发送，不经过离线队列
+ *
+ * @param {number} attempts - 本次重连尝试的次数
+ * @private
+ * @returns {Promise<void>} 恢复结果通过`reconnected`事件通知
+ */
+async function resumeSession(attempts) {
+  const info = {
+    attempts,
+    loginType : null,
+  }
+  this._initialized = false
+
+  // 内存中没有登陆数据时，从存储中读取当前账号的登陆数据
+  if (this._store && (!this.wxData || !this.token)) {
+    try {
+      const data  = await this._store.load(this.myInfo ? this.myInfo.userName : undefined) || {}
+      this.wxData = this.wxData || data.wxData || null
+      this.token = this.token || data.token || null
+    } catch (e) {
+      this.emit('warn', e)
+    }
+  }
+
+  let cmd = 'init'
+  let ret = await this.sendCmd(cmd, {}, { force : true, strict : false })
+  if (ret.success && this.wxData && this.token) {
+    cmd = 'login'
+    for (const type of [loginType.token, loginType.request]) {
+      ret = await this.sendCmd(cmd, {
+        loginType : type,
+        wxData : this.wxData,
+        token : this.token,
+      }, { force : true, strict : false })
+      if (ret.success) {
+        info.loginType = type
+        break
+      }
+    }
+  }
+  if (!ret.success) {
+    info.error = new ServerError('重连后恢复会话失败! err: ' + ret.error, {
+      cmd,
+      status : ret.data && ret.data.status,
+    })
+  }
+  this.emit('reconnected', info)
+}
+
+/**
+ * 发送数据包并等待返回结果，ws未连接或正在恢复会话时加入离线队列
+ *
+ * @param {object} data - 要发送的数据
+ * @param {object} options - 发送选项，见`asyncSend`
+ * @private
+ * @returns {Promise<object>} 返回ws处理结果
+ */
+async function sendPacket(data, options) {
+  if (options.signal && options.signal.aborted) {
+    throw new PadchatError(`指令已取消! 指令: ${data.cmd}`, {
+      code : errorCode.ABORTED,
+      cmd : data.cmd,
+      cmdId : data.cmdId,
+    })
+  }
+  if (!options.force && (!this.connected || this._resuming)) {
+    if (this._queue.enabled) {
+      return await enqueue.call(this, data, options)
+    }
+    if (!this.connected) {
+      throw new ConnectionError('websocket未连接!', { cmd : data.cmd, cmdId : data.cmdId })
+    }
+  }
+  const ret = addPending.call(this, data, options)
+  try {
+    await this._send(data)
+  } catch (e) {
+    settlePending.call(this, data.cmdId, e)
+  }
+  return await ret
+}
+
+/**
+ * 格式化离线队列配置
+ *
+ * @param {boolean|object} [opt] - 构造函数中传入的`queue`选项
+ * @private
+ * @returns {object} 队列配置及状态
+ */
+function getQueueOptions(opt) {
+  const ret = Object.assign({
+    maxSize : 100,
+    maxAge : 60 * 1000,
+  }, opt instanceof Object ? opt : {})
+  ret.enabled = !!opt
+  ret.items = []
+  return ret
+}
+
+/**
+ * 将指令加入离线队列
+ *
+ * @param {object} data - 要发送的数据
+ * @param {object} options - 发送选项，见`asyncSend`
+ * @private
+ * @returns {Promise<object>} 指令被发送后的返回结果，被丢弃时reject
+ */
+function enqueue(data, options) {
+  const queue = this._queue
+  return new Promise((resolve, reject) => {
+    const item = { data, options, resolve, reject }
+    item.timer = setTimeout(() => {
+      dropQueued.call(this, item, 'expired')
+    }, queue.maxAge)
+    if (options.signal) {
+      item.onAbort = () => {
+        dropQueued.call(this, item, 'aborted')
+      }
+      options.signal.addEventListener('abort', item.onAbort)
+    }
+    queue.items.push(item)
+    if (queue.items.length > queue.maxSize) {
+      dropQueued.call(this, queue.items[0], 'overflow')
+    }
+  })
+}
+
+/**
+ * 从离线队列中移除指令
+ *
+ * @param {object} item - 队列中的指令
+ * @private
+ * @returns {boolean} 指令是否还在队列中
+ */
+function removeQueued(item) {
+  const index = this._queue.items.indexOf(item)
+  if (index < 0) {
+    return false
+  }
+  this._queue.items.splice(index, 1)
+  clearTimeout(item.timer)
+  if (item.onAbort) {
+    item.options.signal.removeEventListener('abort', item.onAbort)
+  }
+  return true
+}
+
+/**
+ * 丢弃离线队列中的指令，并触发`cmd_dropped`事件
+ *
+ * @param {object} item - 队列中的指令
+ * @param {string} reason - 丢弃原因：`overflow`队列已满；`expired`超过保存时间；`aborted`已取消
+ * @private
+ * @returns {void}
+ */
+function dropQueued(item, reason) {
+  if (!removeQueued.call(this, item)) {
+    return
+  }
+  this.emit('cmd_dropped', item.data, reason)
+  item.reject(new ConnectionError(`离线队列中的指令已丢弃! 指令: ${item.data.cmd}，原因: ${reason}`, {
+    code : errorCode.DROPPED,
+    cmd : item.data.cmd,
+    cmdId : item.data.cmdId,
+  }))
+}
+
+/**
+ * 按顺序发送离线队列中的指令
+ *
+ * 加入队列前已调用过`beforeSend`钩子，此处不再调用
+ *
+ * @private
+ * @returns {void}
+ */
+function flushQueue() {
+  this._queue.items.slice().forEach(item => {
+    removeQueued.call(this, item)
+    sendPacket.call(this, item.data, item.options)
+      .then(item.resolve, item.reject)
+  })
+}
+
+/**
+ * 登陆成功后获取当前账号信息，并刷新登陆数据
+ *
+ * @private
+ * @returns {Promise<void>} 执行完毕后resolve，获取账号信息失败时通过`warn`事件通知
+ */
+async function onLogin() {
+  try {
+    await loadMyInfo.call(this)
+  } catch (e) {
+    this.emit('warn', e)
+  }
+  await refreshSession.call(this)
+}
+
+/**
+ * 获取并缓存当前登陆账号信息
+ *
+ * @private
+ * @returns {Promise<object>} 账号信息`{ userName, uin }`
+ */
+async function loadMyInfo() {
+  // 内部指令直接发送，不进入离线队列，避免占用队列名额或排在用户指令之后
+  const info  = await this.withOptions({ strict : true, force : true }).getMyInfo()
+  this.myInfo = { userName : info.userName, uin : info.uin }
+  return this.myInfo
+}
+
+/**
+ * 登陆成功后刷新用于恢复会话的登陆数据
+ *
+ * 仅在启用自动重连或设置了登陆数据存储（见`autoLogin`）时执行。已有`wxData`时不再获取，避免替换为无效的62数据
+ *
+ * @private
+ * @returns {Promise<void>} 获取并保存完毕后resolve
+ */
+function refreshSession() {
+  if (!this._reconnect.enabled && !this._store) {
+    return Promise.resolve()
+  }
+  this._refreshing = saveSession.call(this)
+  return this._refreshing
+}
+
+/**
+ * 获取并保存最新的登陆数据
+ *
+ * @private
+ * @returns {Promise<void>} 保存完毕后resolve
+ */
+async function saveSession() {
+  // 使用严格模式，获取失败时通过`warn`事件通知；内部指令直接发送，不进入离线队列
+  const wx = this.withOptions({ strict : true, force : true })
+  if (!this.wxData) {
+    await wx.getWxData()
+  }
+  await wx.getLoginToken()
+  if (this._store) {
+    const info = this.myInfo || await loadMyInfo.call(this)
+    await this._store.save({
+      userName : info.userName,
+      uin : info.uin,
+      wxData : this.wxData,
+      token : this.token,
+    })
+  }
+}
+
+/**
+ * 是否有包含指定钩子的中间件
+ *
+ * @param {...string} names - 钩子名称
+ * @private
+ * @returns {boolean} 是否存在
+ */
+function hasMiddleware(...names) {
+  return this._middlewares.some(mw => names.some(name => typeof mw[name] === 'function'))
+}
+
+/**
+ * 依次调用中间件的`beforeSend`钩子
+ *
+ * @param {object} packet - 要发送的数据包
+ * @private
+ * @returns {Promise<*>} 第一个不为`undefined`的钩子返回值
+ */
+async function runBeforeSend(packet) {
+  for (const mw of this._middlewares) {
+    if (typeof mw.beforeSend !== 'function') {
+      continue
+    }
+    const ret = await callHook.call(this, mw, 'beforeSend', packet)
+    if (ret !== undefined) {
+      return ret
+    }
+  }
+}
+
+/**
+ * 调用中间件钩子，并将钩子抛出的异常包装为`PadchatError`
+ *
+ * @param {object} mw - 中间件
+ * @param {string} name - 钩子名称
+ * @param {object} value - 数据包、接收到的数据或推送消息
+ * @private
+ * @returns {Promise<*>} 钩子的返回值
+ */
+async function callHook(mw, name, value) {
+  try {
+    return await mw[name](value, this)
+  } catch (e) {
+    if (e instanceof PadchatError) {
+      throw e
+    }
+    throw new PadchatError(`中间件${name}钩子执行失败: ${e && e.message}`, {
+      code : errorCode.MIDDLEWARE,
+      cmd : name === 'beforeSend' ? value.cmd : undefined,
+      cmdId : name === 'beforeSend' ? value.cmdId : undefined,
+      cause : e,
+    })
+  }
+}
+
+/**
+ * 依次调用中间件的接收钩子
+ *
+ * @param {string} name - 钩子名称：`afterReceive`/`onPush`
+ * @param {object} value - 接收到的数据或推送消息
+ * @private
+ * @returns {Promise<object|null>} 处理后的数据，被丢弃时为`null`
+ */
+async function runReceiveHooks(name, value) {
+  for (const mw of this._middlewares) {
+    if (typeof mw[name] !== 'function') {
+      continue
+    }
+    const ret = await callHook.call(this, mw, name, value)
+    if (ret === false || ret === null) {
+      return null
+    }
+    if (ret !== undefined) {
+      value = ret
+    }
+  }
+  return value
+}
+
+/**
+ * 触发推送消息的`push`事件
+ *
+ * @param {Array<Message>} list - 推送消息列表
+ * @private
+ * @returns {Promise<void>|undefined} 有`onPush`中间件时，返回处理完毕的Promise
+ */
+function emitPush(list) {
+  if (!hasMiddleware.call(this, 'onPush')) {
+    list.forEach(item => {
+      emitMessage.call(this, item)
+    })
+    return
+  }
+  return list.reduce((promise, item) => promise
+    .then(() => runReceiveHooks.call(this, 'onPush', item))
+    .then(item => {
+      if (item) {
+        // 中间件可能返回新的对象，需重新包装
+        emitMessage.call(this, item instanceof Message ? item : new Message(this, item))
+      }
+    }, e => {
+      // 只丢弃出错的消息，不影响同一批推送中的其他消息
+      this.emit('error', e)
+    }), Promise.resolve())
+}
+
+/**
+ * 触发单条消息的`push`事件
+ *
+ * 当前账号在群消息中被@时再触发`mention`事件；系统通知消息再触发解析出的对应事件，见`parseNotice`；
+ * 好友请求消息再触发`friend_request`事件
+ *
+ * @param {Message} msg - 消息
+ * @private
+ * @returns {void}
+ */
+function emitMessage(msg) {
+  this.emit('push', msg)
+  if (msg.isRoom && !msg.isSelf && msg.isMentioned) {
+    this.emit('mention', msg)
+  }
+  const notice = parseNotice(msg)
+  if (notice) {
+    this.emit(notice.event, notice.data, msg)
+  }
+  if (msg.mType === MessageType.friendRequest) {
+    const request = parseFriendRequest(this, msg.content)
+    if (request) {
+      this.emit('friend_request', request, msg)
+    }
+  }
+}
+
+/**
+ * 清除消息结构中多余字段
+ *
+ * @param {object} obj - 要处理的数据结构
+ * @private
+ * @returns {object} 处理后的数据结构
+ */
+function clearRawMsg(obj) {
+  if (typeof obj === 'object') {
+    delete obj.data
+  }
+  return obj
+}
+
+
+Padchat.loginType = loginType
+Padchat.scanStatus = scanStatus
+Padchat.states = states
+Padchat.blacklist = blacklist
+Padchat.errorCode = errorCode
+Padchat.PadchatError = PadchatError
+Padchat.ConnectionError = ConnectionError
+Padchat.TimeoutError = TimeoutError
+Padchat.ServerError = ServerError
+Padchat.ValidationError = ValidationError
+Padchat.CredentialStore = CredentialStore
+Padchat.MemoryStore = MemoryStore
+Padchat.FileStore = FileStore
+Padchat.qrcode = qrcode
+Padchat.QrcodeServer = qrcode.QrcodeServer
+Padchat.Recorder = Recorder
+Padchat.Replayer = Replayer
+Padchat.Message = Message
+Padchat.MessageType = MessageType
+Padchat.AppMsgType = appmsg.AppMsgType
+Padchat.AppMessage = appmsg.AppMessage
+Padchat.LinkMessage = appmsg.LinkMessage
+Padchat.FileMessage = appmsg.FileMessage
+Padchat.QuoteMessage = appmsg.QuoteMessage
+Padchat.MiniProgramMessage = appmsg.MiniProgramMessage
+Padchat.TransferMessage = appmsg.TransferMessage
+Padchat.RedPacketMessage = appmsg.RedPacketMessage
+Padchat.parseAppMsg = appmsg.parseAppMsg
+Padchat.parseNotice = parseNotice
+Padchat.FriendRequest = FriendRequest
+Padchat.xml = xml
+module.exports = Padchat
+
+// 连接池依赖Padchat类，需在导出后再载入
+Padchat.PadchatPool = require('./pool')
@@ -0,0 +1,340 @@
+'use strict'
+
+const { ValidationError } = require('./errors')
+const { parseAppMsg }     = require('./appmsg')
+
+/**
+ * 消息类型，即推送消息的`mType`
+ *
+ * `msgType`为5时，实际类型为`subType`，已统一到`mType`中
+ */
+const MessageType = {
+  text : 1,             // 文字消息
+  contact : 2,          // 好友信息推送，包含好友，群，公众号信息
+  image : 3,            // 图片消息
+  voice : 34,           // 语音消息
+  headImage : 35,       // 用户头像buf
+  friendRequest : 37,   // 好友请求消息
+  card : 42,            // 名片消息
+  video : 43,           // 视频消息
+  emoji : 47,           // 表情消息
+  location : 48,        // 定位消息
+  app : 49,             // APP消息(文件 或者 链接 H5)
+  voipCall : 50,        // 语音通话
+  status : 51,          // 状态通知（如打开与好友/群的聊天界面）
+  voipNotify : 52,      // 语音通话通知
+  voipInvite : 53,      // 语音通话邀请
+  microVideo : 62,      // 小视频
+  transfer : 2000,      // 转账消息
+  redPacket : 2001,     // 红包消息
+  roomInvite : 3000,    // 群邀请
+  sysNotify : 9999,     // 系统通知
+  sysNotice : 10000,    // 微信通知信息，多为群名修改，进群，离群信息
+  recalled : 10002,     // 撤回消息
+}
+
+// 已解析的APP消息，避免重复解析
+const appMsgCache = new WeakMap()
+
+// 实例自身使用的属性，不从原始数据中复制
+const reservedKeys = ['wx', 'raw']
+
+/**
+ * 推送消息
+ *
+ * `push`事件推送的每条消息均为此类的实例，包含推送的全部原始字段（`msgId`、`mType`、`fromUser`、`toUser`、`content`等），
+ * 并提供常用的访问器及操作方法。与访问器或方法同名的字段（如中间件返回的`text`）不会复制到实例上，可通过`raw`访问
+ *
+ * @example
+ * wx.on('push', async msg => {
+ *   if (msg.type === MessageType.text && msg.text === 'ding') {
+ *     await msg.reply('dong')
+ *   }
+ *   if (msg.type === MessageType.image) {
+ *     fs.writeFileSync(`./${msg.msgId}.jpg`, await msg.downloadMedia())
+ *   }
+ * })
+ *
+ * @class Message
+ */
+class Message {
+  /**
+   * Creates an instance of Message.
+   * @param {Padchat} wx - 收到此消息的Padchat实例
+   * @param {object} raw - 推送的原始消息数据
+   * @memberof Message
+   */
+  constructor(wx, raw) {
+    Object.keys(raw || {}).forEach(key => {
+      // 访问器只有getter，赋值会抛出异常；同名方法会被覆盖
+      if (!(key in Message.prototype) && reservedKeys.indexOf(key) === -1) {
+        this[key] = raw[key]
+      }
+    })
+    // 不可枚举，避免序列化或作为rawMsgData发送时带上实例
+    Object.defineProperty(this, 'wx', { value : wx })
+    Object.defineProperty(this, 'raw', { value : raw })
+  }
+
+  /**
+   * 消息类型，见`MessageType`
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get type() {
+    return this.mType
+  }
+
+  /**
+   * 是否为群消息
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get isRoom() {
+    return isRoomId(this.fromUser) || isRoomId(this.toUser)
+  }
+
+  /**
+   * 是否为自己发送的消息（包括在其他设备上发送的）
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get isSelf() {
+    const myInfo = this.wx.myInfo
+    return !!myInfo && this.fromUser === myInfo.userName
+  }
+
+  /**
+   * 群id，非群消息时为`null`
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get room() {
+    if (isRoomId(this.fromUser)) {
+      return this.fromUser
+    }
+    return isRoomId(this.toUser) ? this.toUser : null
+  }
+
+  /**
+   * 发送者wxid
+   *
+   * 群消息的`fromUser`为群id，发言人wxid在`content`开头（`wxid_xxx:\n内容`），此处已提取
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get sender() {
+    if (!isRoomId(this.fromUser)) {
+      return this.fromUser
+    }
+    return splitRoomContent(this.content).sender || null
+  }
+
+  /**
+   * 消息文本
+   *
+   * 群消息已去掉开头的发言人wxid；其他类型消息为原始的`content`（多为xml文本）
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get text() {
+    const content = this.content || ''
+    return isRoomId(this.fromUser) ? splitRoomContent(content).text : content
+  }
+
+  /**
+   * APP消息（链接、文件、引用回复、小程序、转账、红包等）的解析结果，见`AppMessage`及其子类
+   *
+   * 不是APP消息或xml解析失败时为`null`
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get appMsg() {
+    if (!appMsgCache.has(this)) {
+      let appMsg = null
+      if ([MessageType.app, MessageType.transfer, MessageType.redPacket].indexOf(this.mType) !== -1) {
+        try {
+          appMsg = parseAppMsg(this.text)
+        } catch (e) {
+          // xml格式错误时视为无法解析
+        }
+      }
+      appMsgCache.set(this, appMsg)
+    }
+    return appMsgCache.get(this)
+  }
+
+  /**
+   * 群消息中被@的用户wxid数组，从`msgSource`的`<atuserlist>`中解析，@所有人时包含`notify@all`
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get atList() {
+    const match = /<atuserlist>(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?<\/atuserlist>/.exec(this.msgSource || '')
+    if (!match) {
+      return []
+    }
+    return match[1].split(',').map(id => id.trim()).filter(id => id)
+  }
+
+  /**
+   * 当前登陆账号是否在群消息中被@（不包括@所有人）
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get isMentioned() {
+    const myInfo = this.wx.myInfo
+    return !!myInfo && this.atList.indexOf(myInfo.userName) !== -1
+  }
+
+  /**
+   * 是否为@所有人的群消息
+   *
+   * @readonly
+   * @memberof Message
+   */
+  get isMentionAll() {
+    return this.atList.indexOf('notify@all') !== -1
+  }
+
+  /**
+   * 回复文字消息
+   *
+   * 群消息回复到群内，私聊消息回复给对方（自己发送的消息回复给接收者）
+   *
+   * @param {string} text - 回复内容
+   * @param {Array<string>} [atList] - 群内要@的用户wxid数组
+   * @returns {Promise<object>} `sendMsg`的返回结果
+   * @memberof Message
+   */
+  reply(text, atList) {
+    return this.wx.sendMsg(getReplyTarget(this), text, atList)
+  }
+
+  /**
+   * 获取图片、视频或语音消息的完整数据
+   *
+   * @returns {Promise<Buffer>} 媒体文件数据，执行失败时reject一个`ServerError`
+   * @memberof Message
+   */
+  async downloadMedia() {
+    const wx = this.wx.withOptions({ strict : true })
+    // 接口会删除rawMsgData中的缩略图数据，使用副本避免修改当前消息
+    const raw = Object.assign({}, this)
+    let data
+    switch (this.mType) {
+      case MessageType.image:
+        data = (await wx.getMsgImage(raw)).image
+        break
+      case MessageType.video:
+      case MessageType.microVideo:
+        data = (await wx.getMsgVideo(raw)).video
+        break
+      case MessageType.voice:
+        data = (await wx.getMsgVoice(raw)).voice
+        break
+      default:
+        throw new ValidationError(`此类型的消息没有媒体数据! 类型: ${this.mType}`)
+    }
+    return Buffer.from(data || '', 'base64')
+  }
+
+  /**
+   * 转发消息
+   *
+   * 支持文字、图片、语音及APP消息（链接、文件等）。APP消息只发送其中的`<appmsg>`节点，xml格式错误时reject一个`ValidationError`
+   *
+   * @param {string} to - 接收者wxid或群id
+   * @returns {Promise<object>} 发送接口的返回结果
+   * @memberof Message
+   */
+  async forward(to) {
+    const wx = this.wx
+    switch (this.mType) {
+      case MessageType.text:
+        return await wx.sendMsg(to, this.text)
+      case MessageType.image:
+        return await wx.sendImage(to, await this.downloadMedia())
+      case MessageType.voice:
+        return await wx.sendVoice(to, await this.downloadMedia(), getVoiceLength(this.text))
+      case MessageType.app: {
+        const appMsg = this.appMsg
+        if (!appMsg) {
+          throw new ValidationError('APP消息内容解析失败，无法转发!')
+        }
+        return await wx.sendCmd('sendAppMsg', {
+          toUserName : to,
+          content : appMsg.xml.child('appmsg').toString(),
+        })
+      }
+      default:
+        throw new ValidationError(`不支持转发此类型的消息! 类型: ${this.mType}`)
+    }
+  }
+}
+
+/**
+ * 是否为群id
+ *
+ * @param {string} id - wxid或群id
+ * @private
+ * @returns {boolean} 是否为群id
+ */
+function isRoomId(id) {
+  return typeof id === 'string' && /@chatroom$/.test(id)
+}
+
+/**
+ * 拆分群消息内容中的发言人及内容
+ *
+ * @param {string} content - 群消息内容，格式为`wxid_xxx:\n内容`
+ * @private
+ * @returns {object} `{ sender, text }`，没有发言人时`sender`为`''`
+ */
+function splitRoomContent(content) {
+  const match = /^([\w\-@.]+):\n([\s\S]*)$/.exec(content || '')
+  if (!match) {
+    return { sender : '', text : content || '' }
+  }
+  return { sender : match[1], text : match[2] }
+}
+
+/**
+ * 获取回复消息的接收者
+ *
+ * @param {Message} msg - 消息
+ * @private
+ * @returns {string} 接收者wxid或群id
+ */
+function getReplyTarget(msg) {
+  if (msg.room) {
+    return msg.room
+  }
+  return msg.isSelf ? msg.toUser : msg.fromUser
+}
+
+/**
+ * 从语音消息的xml中获取语音时长
+ *
+ * @param {string} xml - 语音消息内容
+ * @private
+ * @returns {number} 语音时长，单位毫秒
+ */
+function getVoiceLength(xml) {
+  const match = /voicelength="(\d+)"/.exec(xml || '')
+  return match ? Number(match[1]) : 0
+}
+
+module.exports = {
+  Message,
+  MessageType,
+}
@@ -0,0 +1,615 @@
+'use strict'
+
+const EventEmitter = require('events')
+const crypto       = require('crypto')
+const Websocket    = require('ws')
+
+const Helper = require('./helper')
+
+// 1x1像素的png图片，用作二维码、图片等数据
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+
+/**
+ * 各接口默认返回的数据
+ *
+ * 值为object时直接作为返回结果的`data`字段（会与`{ message: '', status: 0 }`合并）；
+ * 值为函数时，以`(data, client, server)`调用，返回完整的执行结果`{ success, error, msg, data }`，可返回Promise。
+ * 字段名称使用小驼峰写法，发送时转换为与服务器一致的下划线写法。
+ */
+const fixtures = {
+  getWxData : { wxData : '62xxxxxxxx' },
+  getLoginToken : (data, client) => ok({ token : 'token_xxxx', uin : client.user.uin }),
+  getMyInfo : (data, client) => ok({ userName : client.user.userName, uin : client.user.uin }),
+  syncMsg : {},
+  syncContact : {},
+  // 发送消息
+  sendMsg : () => ok({ msgId : randomId() }),
+  sendAppMsg : () => ok({ msgId : randomId() }),
+  sendImage : () => ok({ msgId : randomId() }),
+  sendVoice : data => ok({ msgId : randomId(), data : String(data.file || '').length, size : 0 }),
+  shareCard : () => ok({ msgId : randomId() }),
+  // 获取图片、视频、语音
+  getMsgImage : { image : PIXEL, size : PIXEL.length },
+  getMsgVideo : { video : PIXEL, size : PIXEL.length },
+  getMsgVoice : { voice : PIXEL, size : PIXEL.length },
+  // 群管理
+  createRoom : () => ok({ message : 'Everything is OK', userName : randomId() + '@chatroom' }),
+  getRoomMembers : (data, client) => ok({
+    chatroomId : 700000001,
+    count : 1,
+    // 服务器返回的群成员列表是json文本
+    member : JSON.stringify([{
+      big_head : '',
+      chatroom_nick_name : '',
+      invited_by : '',
+      nick_name : client.user.nickName,
+      small_head : '',
+      user_name : client.user.userName,
+    }]),
+    userName : data.groupId,
+  }),
+  addRoomMember : {},
+  inviteRoomMember : {},
+  deleteRoomMember : {},
+  quitRoom : {},
+  setRoomAnnouncement : {},
+  setRoomName : {},
+  getRoomQrcode : { footer : '该二维码7天内有效，重新进入将更新', qrCode : PIXEL },
+  // 用户管理
+  getContact : data => ok({
+    userName : data.userId,
+    nickName : data.userId,
+    bigHead : '',
+    smallHead : '',
+    remark : '',
+    sex : 0,
+    signature : '',
+    stranger : '',
+    ticket : '',
+  }),
+  searchContact : data => ok({ userName : data.userId, nickName : data.userId, stranger : '' }),
+  deleteContact : {},
+  getUserQrcode : { footer : '', qrCode : PIXEL },
+  acceptUser : {},
+  addContact : {},
+  sayHello : {},
+  setRemark : {},
+  setHeadImg : { bigHead : '', smallHead : '', data : 0, size : 0 },
+  // 朋友圈
+  snsUpload : { bigUrl : '', smallUrl : '', size : 0 },
+  snsobjectOp : {},
+  snsSendMoment : { data : {} },
+  snsUserPage : { data : [] },
+  snsTimeline : { data : [] },
+  snsGetObject : { data : {} },
+  snsComment : { data : {} },
+  snsLike : { data : {} },
+  // 收藏
+  syncFav : { continue : 0, data : null, key : '' },
+  addFav : {},
+  getFav : { data : {} },
+  deleteFav : {},
+  // 标签
+  getLabelList : { label : [] },
+  addLabel : {},
+  deleteLabel : {},
+  setLabel : {},
+  // 转账及红包，扩展数据是json文本
+  queryTransfer : { external : JSON.stringify({ retcode : '0', retmsg : 'ok', fee : 0, trans_status : 2000 }) },
+  acceptTransfer : { external : JSON.stringify({ retcode : '0', retmsg : 'ok', fee : 0, trans_status : 2001 }) },
+  receiveRedPacket : { key : 'key_xxxx', external : JSON.stringify({ retcode : 0, retmsg : 'ok', receive_status : 0, hb_status : 3 }) },
+  openRedPacket : { external : JSON.stringify({ retcode : 0, retmsg : 'ok', amount : 0, receive_status : 2 }) },
+  queryRedPacket : { external : JSON.stringify({ retcode : 0, retmsg : 'ok', record : [] }) },
+  // 公众号
+  searchMp : { info : JSON.stringify({ data : [] }) },
+  getSubscriptionInfo : data => ok({ info : JSON.stringify({ user_name : data.ghName, nick_name : data.ghName }) }),
+  operateSubscription : {},
+  getRequestToken : { fullUrl : '', info : '', message : '', shareUrl : '', xKey : 'key_xxxx', xUin : 'uin_xxxx' },
+  requestUrl : { response : 'HTTP/1.1 200 OK\r\n\r\n' },
+}
+
+/**
+ * 本地模拟Padchat服务器
+ *
+ * 实现与Padchat服务器相同的json协议，用于在没有服务器的环境下开发和测试：
+ * - 对每个请求返回带有相同`cmdId`的`cmdRet`数据
+ * - `init`/`login`/`logout`/`close`及扫码流程，会推送`qrcode`/`scan`/`login`/`loaded`/`logout`/`over`等`userEvent`
+ * - 其他接口返回`fixtures`中的默认数据，可使用`fixture`方法修改
+ * - 配置`auth`后，会校验`sys`类型的`auth`请求（见README连接授权）
+ *
+ * 也可直接运行`node mock-server.js [port]`启动，扫码登陆会在推送二维码3秒后自动完成。
+ *
+ * @example
+ * const server = new MockServer({ port: 7777 })
+ * await server.listen()
+ * server.fixture('sendMsg', { msgId: '1' })
+ * const wx = new Padchat(server.url)
+ * // ... wx.login('qrcode') 后
+ * server.confirmLogin()
+ * server.push({ msgType: 1, fromUser: 'wxid_001', content: 'hi' })
+ *
+ * @class MockServer
+ * @extends {EventEmitter}
+ */
+class MockServer extends EventEmitter {
+  /**
+   * Creates an instance of MockServer.
+   * @param {object} [options] - 配置
+   * @param {number} [options.port=7777] - 监听端口，为0时随机分配
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @param {object} [options.auth] - 连接授权信息`{ key, secret }`
+   * @param {object} [options.user] - 登陆后的微信账号信息`{ userName, uin, nickName }`
+   * @param {number|boolean} [options.scanDelay=false] - 推送二维码后自动完成扫码登陆的等待时间，单位毫秒。为`false`时需调用`confirmLogin`
+   * @param {string} [options.verifyCode='123456'] - 手机验证码登陆时正确的验证码
+   * @param {string} [options.password] - 账号密码登陆时正确的密码，默认接受任意密码
+   * @memberof MockServer
+   */
+  constructor(options = {}) {
+    super()
+    this.port = options.port === undefined ? 7777 : options.port
+    this.host = options.host || '127.0.0.1'
+    this.auth = options.auth || null
+    this.scanDelay = options.scanDelay === undefined ? false : options.scanDelay
+    this.verifyCode = options.verifyCode || '123456'
+    this.password = options.password || null
+    this.user = Object.assign({
+      userName : 'wxid_mock',
+      uin : 100000001,
+      nickName : 'mock',
+    }, options.user)
+    this.fixtures = Object.assign({}, fixtures)
+    this.clients = new Set()
+    this._taskId = 0
+  }
+
+  /**
+   * 服务器url
+   *
+   * @readonly
+   * @memberof MockServer
+   */
+  get url() {
+    return `ws://${this.host}:${this.port}`
+  }
+
+  /**
+   * 启动服务器
+   *
+   * @returns {Promise<MockServer>} 开始监听后resolve
+   * @memberof MockServer
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.wss = new Websocket.Server({ port : this.port, host : this.host }, () => {
+        this.port = this.wss.address().port
+        resolve(this)
+      })
+      this.wss
+        .on('error', reject)
+        .on('connection', ws => {
+          onConnection.call(this, ws)
+        })
+    })
+  }
+
+  /**
+   * 关闭服务器，并断开所有连接
+   *
+   * @returns {Promise<void>} 关闭后resolve
+   * @memberof MockServer
+   */
+  close() {
+    return new Promise(resolve => {
+      this.clients.forEach(client => {
+        clearTimeout(client.scanTimer)
+        client.ws.terminate()
+      })
+      this.clients.clear()
+      if (!this.wss) {
+        resolve()
+        return
+      }
+      this.wss.close(() => resolve())
+    })
+  }
+
+  /**
+   * 设置接口返回的数据
+   *
+   * @example
+   * // 固定返回数据
+   * server.fixture('sendMsg', { msgId: '123' })
+   * // 模拟执行失败
+   * server.fixture('addRoomMember', () => ({ success: false, error: '没有权限' }))
+   *
+   * @param {string} cmd - 接口
+   * @param {object|function} fixture - 返回的`data`数据，或返回完整执行结果的函数`(data, client, server) => result`
+   * @returns {MockServer} 当前实例，便于链式调用
+   * @memberof MockServer
+   */
+  fixture(cmd, fixture) {
+    this.fixtures[cmd] = fixture
+    return this
+  }
+
+  /**
+   * 向客户端推送`userEvent`事件
+   *
+   * @param {string} event - 事件名称
+   * @param {object} [data={}] - 事件数据（小驼峰写法）
+   * @param {object} [client] - 指定的客户端，默认为所有已连接的客户端
+   * @returns {void}
+   * @memberof MockServer
+   */
+  event(event, data = {}, client) {
+    const targets = client ? [client] : Array.from(this.clients)
+    targets.forEach(item => {
+      sendFrame(item, {
+        type : 'userEvent',
+        event,
+        taskId : item.taskId,
+        data : toSnakeCase(data),
+      })
+    })
+  }
+
+  /**
+   * 推送消息
+   *
+   * @param {object|Array<object>} list - 一条或多条消息（小驼峰写法，如`msgType`、`fromUser`、`content`）
+   * @param {object} [client] - 指定的客户端，默认为所有已登陆的客户端
+   * @returns {void}
+   * @memberof MockServer
+   */
+  push(list, client) {
+    list = (Array.isArray(list) ? list : [list]).map(item => Object.assign({
+      msgId : randomId(),
+      msgType : 1,
+      subType : 0,
+      status : 1,
+      continue : 0,
+      timestamp : Math.floor(Date.now() / 1000),
+      toUser : (client || {}).user ? client.user.userName : this.user.userName,
+      uin : this.user.uin,
+    }, item))
+    const targets = client ? [client] : Array.from(this.clients).filter(item => item.loggedIn)
+    targets.forEach(item => {
+      this.event('push', { list }, item)
+    })
+  }
+
+  /**
+   * 推送扫码状态
+   *
+   * @param {number} status - 扫码状态：0等待扫码；1已扫码；2已确认；3二维码过期；4已取消
+   * @param {object} [data={}] - 附加数据
+   * @param {object} [client] - 指定的客户端，默认为所有正在扫码登陆的客户端
+   * @returns {void}
+   * @memberof MockServer
+   */
+  scan(status, data = {}, client) {
+    const targets = client ? [client] : Array.from(this.clients).filter(item => item.scanning)
+    targets.forEach(item => {
+      if (status >= 2) {
+        item.scanning = false
+        clearTimeout(item.scanTimer)
+      }
+      this.event('scan', Object.assign({
+        status,
+        expiredTime : 239,
+        headUrl : '',
+        nickName : item.user.nickName,
+      }, data), item)
+    })
+  }
+
+  /**
+   * 完成扫码登陆
+   *
+   * 依次推送已扫码、已确认、登陆成功及通讯录载入完毕事件
+   *
+   * @param {object} [client] - 指定的客户端，默认为所有正在扫码登陆的客户端
+   * @returns {void}
+   * @memberof MockServer
+   */
+  confirmLogin(client) {
+    const targets = client ? [client] : Array.from(this.clients).filter(item => item.scanning)
+    targets.forEach(item => {
+      this.scan(1, {}, item)
+      this.scan(2, {
+        subStatus : 0,
+        userName : item.user.userName,
+        uin : item.user.uin,
+      }, item)
+      onLogin.call(this, item)
+    })
+  }
+}
+
+/**
+ * 处理新连接
+ *
+ * @param {Websocket} ws - ws连接
+ * @private
+ * @returns {void}
+ */
+function onConnection(ws) {
+  const client = {
+    ws,
+    taskId : String(++this._taskId),
+    authorized : !this.auth,
+    initialized : false,
+    scanning : false,
+    loggedIn : false,
+    user : Object.assign({}, this.user),
+  }
+  this.clients.add(client)
+  this.emit('connection', client)
+
+  ws
+    .on('message', msg => {
+      let packet
+      try {
+        packet = JSON.parse(msg)
+      } catch (e) {
+        return
+      }
+      this.emit('request', packet, client)
+      onRequest.call(this, packet, client)
+        .catch(e => {
+          reply(client, packet, { success : false, error : e.message })
+        })
+    })
+    .on('close', () => {
+      clearTimeout(client.scanTimer)
+      this.clients.delete(client)
+    })
+    .on('error', () => { })
+}
+
+/**
+ * 处理请求
+ *
+ * @param {object} packet - 请求数据
+ * @param {object} client - 客户端
+ * @private
+ * @returns {Promise<void>} 处理完毕后resolve
+ */
+async function onRequest(packet, client) {
+  const { type, cmd } = packet
+  const data          = packet.data || {}
+
+  if (type === 'sys') {
+    if (cmd === 'auth') {
+      client.authorized = checkAuth(this.auth, data)
+      reply(client, packet, client.authorized ? ok() : { success : false, error : '授权失败' })
+      return
+    }
+    reply(client, packet, ok({ taskCount : this.clients.size }))
+    return
+  }
+  if (!client.authorized) {
+    reply(client, packet, { success : false, error : '未授权' })
+    return
+  }
+  if (cmd !== 'init' && !client.initialized) {
+    reply(client, packet, { success : false, error : '任务实例未初始化' })
+    return
+  }
+
+  switch (cmd) {
+    case 'init':
+      client.initialized = true
+      reply(client, packet, { success : true, error : '' })
+      return
+    case 'login':
+      onLoginRequest.call(this, packet, client)
+      return
+    case 'logout':
+      client.loggedIn = false
+      reply(client, packet, ok())
+      this.event('logout', { msg : '已注销登录' }, client)
+      return
+    case 'close':
+      client.initialized = false
+      client.loggedIn = false
+      reply(client, packet, ok())
+      this.event('over', { msg : '任务实例已关闭' }, client)
+      return
+    default:
+      break
+  }
+
+  const fixture = this.fixtures[cmd]
+  if (fixture === undefined) {
+    reply(client, packet, { success : false, error : `不支持的接口: ${cmd}` })
+    return
+  }
+  const ret = typeof fixture === 'function' ? await fixture(data, client, this) : ok(fixture)
+  reply(client, packet, ret)
+}
+
+/**
+ * 处理登陆请求
+ *
+ * @param {object} packet - 请求数据
+ * @param {object} client - 客户端
+ * @private
+ * @returns {void}
+ */
+function onLoginRequest(packet, client) {
+  const data = packet.data || {}
+  switch (data.loginType) {
+    case 'qrcode':
+      reply(client, packet, { success : true, error : '', msg : '请使用手机微信扫码登陆！' })
+      client.scanning = true
+      this.event('qrcode', { url : 'http://weixin.qq.com/x/mock', qrCode : PIXEL }, client)
+      this.scan(0, {}, client)
+      if (this.scanDelay !== false) {
+        client.scanTimer = setTimeout(() => {
+          this.confirmLogin(client)
+        }, this.scanDelay)
+      }
+      return
+    case 'token':
+    case 'request':
+      if (!data.token || !data.wxData) {
+        reply(client, packet, { success : false, error : '登陆数据错误' })
+        return
+      }
+      reply(client, packet, ok())
+      onLogin.call(this, client)
+      return
+    case 'phone':
+      // 不带验证码时为请求发送验证码
+      if (!data.code) {
+        reply(client, packet, { success : true, error : '', msg : '验证码已发送' })
+        return
+      }
+      if (data.code !== this.verifyCode) {
+        reply(client, packet, { success : false, error : '验证码错误' })
+        return
+      }
+      reply(client, packet, ok())
+      onLogin.call(this, client)
+      return
+    case 'user':
+      if (this.password !== null && data.password !== this.password) {
+        reply(client, packet, { success : false, error : '密码错误' })
+        return
+      }
+      reply(client, packet, ok())
+      onLogin.call(this, client)
+      return
+    default:
+      reply(client, packet, { success : false, error : '登陆类型错误' })
+      return
+  }
+}
+
+/**
+ * 登陆成功，推送`login`及`loaded`事件
+ *
+ * @param {object} client - 客户端
+ * @private
+ * @returns {void}
+ */
+function onLogin(client) {
+  client.loggedIn = true
+  this.event('login', { msg : '登陆成功' }, client)
+  this.event('loaded', { msg : '通讯录载入完毕' }, client)
+}
+
+/**
+ * 校验连接授权签名
+ *
+ * @param {object} auth - 授权信息`{ key, secret }`
+ * @param {object} data - 授权请求数据
+ * @private
+ * @returns {boolean} 是否通过
+ */
+function checkAuth(auth, data) {
+  if (!auth || data.accessKey !== auth.key) {
+    return !auth
+  }
+  const sign = crypto.createHmac('sha256', String(auth.secret))
+    .update(`${data.accessKey}${data.timestamp}${data.nonce}`)
+    .digest('hex')
+  return sign === data.sign
+}
+
+/**
+ * 返回执行结果
+ *
+ * @param {object} client - 客户端
+ * @param {object} packet - 请求数据
+ * @param {object} ret - 执行结果
+ * @private
+ * @returns {void}
+ */
+function reply(client, packet, ret) {
+  sendFrame(client, {
+    type : 'cmdRet',
+    cmdId : packet.cmdId,
+    taskId : client.taskId,
+    data : toSnakeCase(ret),
+  })
+}
+
+/**
+ * 向客户端发送数据
+ *
+ * @param {object} client - 客户端
+ * @param {object} frame - 数据
+ * @private
+ * @returns {void}
+ */
+function sendFrame(client, frame) {
+  if (client.ws.readyState === Websocket.OPEN) {
+    client.ws.send(JSON.stringify(frame))
+  }
+}
+
+/**
+ * 包装执行成功的结果
+ *
+ * @param {object} [data={}] - 返回的数据
+ * @private
+ * @returns {object} 执行结果
+ */
+function ok(data = {}) {
+  return {
+    success : true,
+    error : '',
+    data : Object.assign({ message : '', status : 0 }, data),
+  }
+}
+
+/**
+ * 将object中的属性名称从驼峰转换为下划线格式（包含子数据）
+ *
+ * @param {any} obj - 要转换的object
+ * @private
+ * @returns {any} 转换后的object
+ */
+function toSnakeCase(obj) {
+  if (Array.isArray(obj)) {
+    return obj.map(item => toSnakeCase(item))
+  }
+  if (!(obj instanceof Object)) {
+    return obj
+  }
+  const ret = Helper.toUnderLine(obj)
+  Object.keys(ret).forEach(key => {
+    ret[key] = toSnakeCase(ret[key])
+  })
+  return ret
+}
+
+/**
+ * 生成随机的数字id
+ *
+ * @private
+ * @returns {string} id
+ */
+function randomId() {
+  return String(Math.floor(Math.random() * 9e15) + 1e15)
+}
+
+MockServer.fixtures = fixtures
+module.exports = MockServer
+
+if (require.main === module) {
+  const server = new MockServer({
+    port : Number(process.argv[2]) || 7777,
+    scanDelay : 3000,
+  })
+  server
+    .on('request', packet => {
+      console.log('[%s] %s', packet.type, packet.cmd)
+    })
+    .listen()
+    .then(() => {
+      console.log('模拟服务器已启动：%s', server.url)
+    })
+}
@@ -0,0 +1,195 @@
+'use strict'
+
+const xml             = require('./xml')
+const { MessageType } = require('./message')
+
+/**
+ * 各事件的通知文本格式
+ *
+ * 每项为`[正则, 生成事件数据的函数]`，函数参数为`resolver`，用于将匹配结果转换为用户信息。
+ * 同时匹配`sysmsgtemplate`模板，模板中的`$name$`占位符会替换为对应的成员列表
+ */
+const patterns = {
+  room_join : [
+    [/^"(.+?)"邀请你和"(.+)"加入了群聊/, r => ({ inviter : r.one(1), invitees : [r.self()].concat(r.list(2)) })],
+    [/^"(.+?)"邀请你加入了群聊/, r => ({ inviter : r.one(1), invitees : [r.self()] })],
+    [/^"(.+?)"邀请"(.+)"加入了群聊/, r => ({ inviter : r.one(1), invitees : r.list(2) })],
+    [/^你邀请"(.+)"加入了群聊/, r => ({ inviter : r.self(), invitees : r.list(1) })],
+    [/^"(.+?)"通过扫描"(.+?)"分享的二维码加入群聊/, r => ({ inviter : r.one(2), invitees : r.list(1) })],
+    [/^"(.+?)"通过扫描你分享的二维码加入群聊/, r => ({ inviter : r.self(), invitees : r.list(1) })],
+    [/^你通过扫描"(.+?)"分享的二维码加入群聊/, r => ({ inviter : r.one(1), invitees : [r.self()] })],
+    [/^"(.+?)" invited you and "(.+)" to (?:the|a) group chat/i, r => ({ inviter : r.one(1), invitees : [r.self()].concat(r.list(2)) })],
+    [/^"(.+?)" invited you to (?:the|a) group chat/i, r => ({ inviter : r.one(1), invitees : [r.self()] })],
+    [/^"(.+?)" invited "(.+)" to (?:the|a) group chat/i, r => ({ inviter : r.one(1), invitees : r.list(2) })],
+    [/^You invited "(.+)" to (?:the|a) group chat/i, r => ({ inviter : r.self(), invitees : r.list(1) })],
+    [/^"(.+?)" joined (?:the )?group chat via (?:the )?QR code shared by "(.+?)"/i, r => ({ inviter : r.one(2), invitees : r.list(1) })],
+    [/^"(.+?)" joined (?:the )?group chat via (?:the )?QR code shared by you/i, r => ({ inviter : r.self(), invitees : r.list(1) })],
+  ],
+  room_leave : [
+    [/^你将"(.+)"移出了群聊/, r => ({ remover : r.self(), leavers : r.list(1) })],
+    [/^"(.+?)"将"(.+)"移出了群聊/, r => ({ remover : r.one(1), leavers : r.list(2) })],
+    [/^你被"(.+?)"移出群聊/, r => ({ remover : r.one(1), leavers : [r.self()] })],
+    [/^You removed "(.+)" from the group chat/i, r => ({ remover : r.self(), leavers : r.list(1) })],
+    [/^You were removed from the group chat by "(.+?)"/i, r => ({ remover : r.one(1), leavers : [r.self()] })],
+  ],
+  room_topic : [
+    [/^"(.+?)"修改群名为“(.+)”$/, r => ({ changer : r.one(1), topic : r.text(2) })],
+    [/^你修改群名为“(.+)”$/, r => ({ changer : r.self(), topic : r.text(1) })],
+    [/^"(.+?)" changed the group name to "(.+)"$/i, r => ({ changer : r.one(1), topic : r.text(2) })],
+    [/^You changed the group name to "(.+)"$/i, r => ({ changer : r.self(), topic : r.text(1) })],
+  ],
+  friendship_confirmed : [
+    [/^你已添加了(.+)，现在可以开始聊天了/, r => ({ contact : r.sender(1) })],
+    [/^You have added (.+) as your (?:WeChat )?contact/i, r => ({ contact : r.sender(1) })],
+    [/^我通过了你的朋友验证请求，现在我们可以开始聊天了/, r => ({ contact : r.sender() })],
+    [/^I've accepted your friend request/i, r => ({ contact : r.sender() })],
+  ],
+}
+
+// 只在群内出现的事件
+const roomEvents = ['room_join', 'room_leave', 'room_topic']
+
+/**
+ * 解析系统通知消息
+ *
+ * 解析`sysNotice`(10000)及`recalled`(10002)类型消息中的群成员变动、群名修改、消息撤回及好友验证通过通知。
+ * 用户信息的结构为`{ userName, nickName }`，从文本通知中只能获得昵称，此时`userName`为空；
+ * 通知中的“你”为当前登陆账号，`userName`为`wx.myInfo.userName`
+ *
+ * 事件 | 数据
+ * ---- | ----
+ * room_join | `{ room, inviter, invitees }`
+ * room_leave | `{ room, remover, leavers }`
+ * room_topic | `{ room, changer, topic }`
+ * message_recalled | `{ msgId, session, text }`，`msgId`为被撤回消息的`msgId`
+ * friendship_confirmed | `{ contact }`
+ *
+ * @param {Message} msg - 推送消息
+ * @returns {object|null} `{ event, data }`，不是可解析的系统通知时为`null`
+ */
+function parseNotice(msg) {
+  if (msg.mType !== MessageType.sysNotice && msg.mType !== MessageType.recalled) {
+    return null
+  }
+  const text = msg.text.trim()
+  if (!text) {
+    return null
+  }
+  if (text[0] !== '<') {
+    return matchNotice(msg, text, {})
+  }
+
+  let root
+  try {
+    root = xml.parse(text)
+  } catch (e) {
+    return null
+  }
+  if (root.name !== 'sysmsg') {
+    return null
+  }
+  const revoke = root.child('revokemsg')
+  if (revoke) {
+    return {
+      event : 'message_recalled',
+      data : {
+        msgId : revoke.getText('newmsgid') || revoke.getText('msgid') || revoke.getText('oldmsgid'),
+        session : revoke.getText('session'),
+        text : revoke.getText('replacemsg'),
+      },
+    }
+  }
+  const template = root.get('sysmsgtemplate.content_template')
+  if (template) {
+    return matchNotice(msg, template.getText('template'), getLinks(template))
+  }
+  // 其他类型的通知，如`delchatroommember`，使用其中的文本
+  const body = root.children[0]
+  return body ? matchNotice(msg, body.getText('plain') || body.getText('text'), {}) : null
+}
+
+/**
+ * 使用通知文本格式匹配通知
+ *
+ * @param {Message} msg - 推送消息
+ * @param {string} text - 通知文本或模板
+ * @param {object} links - 模板中的成员列表，以占位符名称为key
+ * @private
+ * @returns {object|null} `{ event, data }`，没有匹配的格式时为`null`
+ */
+function matchNotice(msg, text, links) {
+  const room = msg.room
+  for (const event of Object.keys(patterns)) {
+    if ((roomEvents.indexOf(event) !== -1) !== !!room) {
+      continue
+    }
+    for (const [reg, build] of patterns[event]) {
+      const match = reg.exec(text)
+      if (match) {
+        const data = build(createResolver(msg, match, links))
+        return { event, data : room ? Object.assign({ room }, data) : data }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * 创建将匹配结果转换为用户信息的工具
+ *
+ * @param {Message} msg - 推送消息
+ * @param {Array<string>} match - 正则匹配结果
+ * @param {object} links - 模板中的成员列表
+ * @private
+ * @returns {object} 转换工具
+ */
+function createResolver(msg, match, links) {
+  const list = index => {
+    const value       = match[index] || ''
+    const placeholder = /^\$(\w+)\$$/.exec(value)
+    if (placeholder && links[placeholder[1]]) {
+      return links[placeholder[1]]
+    }
+    return value.split(/"?(?:、|,\s*|\s+and\s+)"?/)
+      .map(name => name.replace(/^"|"$/g, '').trim())
+      .filter(name => name)
+      .map(nickName => ({ userName : '', nickName }))
+  }
+  return {
+    list,
+    one : index => list(index)[0] || null,
+    text : index => match[index] || '',
+    self : () => ({ userName : msg.wx.myInfo ? msg.wx.myInfo.userName : '', nickName : '' }),
+    sender : index => ({ userName : msg.fromUser, nickName : (index && match[index]) || '' }),
+  }
+}
+
+/**
+ * 获取通知模板中的成员列表
+ *
+ * @param {XmlNode} template - `content_template`节点
+ * @private
+ * @returns {object} 以占位符名称为key的用户信息列表
+ */
+function getLinks(template) {
+  const links = {}
+  const list  = template.child('link_list')
+  if (!list) {
+    return links
+  }
+  list.children.forEach(link => {
+    const members = link.child('memberlist')
+    if (link.name !== 'link' || !link.attrs.name || !members) {
+      return
+    }
+    links[link.attrs.name] = members.children.map(member => ({
+      userName : member.getText('username'),
+      nickName : member.getText('nickname'),
+    }))
+  })
+  return links
+}
+
+module.exports = {
+  parseNotice,
+}
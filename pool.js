@@ -0,0 +1,330 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+const Padchat = require('./index')
+
+const { errorCode, PadchatError, ValidationError } = require('./errors')
+
+// 默认转发的Padchat事件
+const forwardEvents = [
+  'open',
+  'close',
+  'error',
+  'warn',
+  'qrcode',
+  'scan',
+  'qrcode_scanned',
+  'qrcode_confirmed',
+  'qrcode_failed',
+  'qrcode_expired',
+  'qrcode_cancelled',
+  'login',
+  'loaded',
+  'logout',
+  'over',
+  'push',
+  'mention',
+  'room_join',
+  'room_leave',
+  'room_topic',
+  'message_recalled',
+  'friendship_confirmed',
+  'friend_request',
+  'sns',
+  'stateChange',
+  'reconnecting',
+  'reconnected',
+  'reconnect_failed',
+  'server_switched',
+  'auth_failed',
+  'cmd_dropped',
+]
+
+/**
+ * 多账号管理
+ *
+ * 以账号id管理多个Padchat实例，将各实例分配到一个或多个服务器上，并限制每个服务器上的账号数量。
+ * 各实例的事件会转发到连接池上，第一个参数为账号id：
+ *
+ * @example
+ * const pool = new PadchatPool({
+ *   servers     : ['ws://10.0.0.1:7777', 'ws://10.0.0.2:7777'],
+ *   maxPerServer: 20,
+ *   options     : { reconnect: true, heartbeat: true, store: new FileStore('./credentials.json') },
+ *   autoLogin   : true,
+ * })
+ *
+ * pool.on('qrcode', (id, data) => console.log('账号 %s 请扫码：%s', id, data.url))
+ * pool.on('push', (id, data) => console.log('账号 %s 收到消息', id, data))
+ *
+ * pool.add('wxid_001')
+ * pool.add('wxid_002', { reconnect: { retries: 10 } })
+ * console.log(pool.status())
+ *
+ * @class PadchatPool
+ * @extends {EventEmitter}
+ */
+class PadchatPool extends EventEmitter {
+  /**
+   * Creates an instance of PadchatPool.
+   * @param {object} [options] - 配置
+   * @param {Array<string>} [options.servers=['ws://127.0.0.1:7777']] - 服务器列表
+   * @param {number} [options.maxPerServer=Infinity] - 每个服务器上的最大账号数量
+   * @param {object} [options.options] - 创建Padchat实例时的默认选项，见Padchat构造函数
+   * @param {boolean} [options.autoLogin=false] - 连接成功，及重连后未能恢复登陆时，自动调用`autoLogin`，以账号id从`store`中读取登陆数据
+   * @param {Array<string>} [options.events] - 要转发的事件，默认为Padchat的全部事件
+   * @memberof PadchatPool
+   */
+  constructor(options = {}) {
+    super()
+    const servers = options.servers || ['ws://127.0.0.1:7777']
+    if (!Array.isArray(servers) || !servers.length) {
+      throw new ValidationError('服务器列表不能为空!')
+    }
+    this.servers = servers.slice()
+    this.maxPerServer = options.maxPerServer || Infinity
+    this.options = options.options || {}
+    this.autoLogin = !!options.autoLogin
+    this.events = options.events || forwardEvents
+    // 账号id为key，值为`{ id, url, options, wx }`
+    this._accounts = new Map()
+  }
+
+  /**
+   * 添加账号，并连接服务器
+   *
+   * 账号会分配到账号数量最少、且未达到上限的服务器上
+   *
+   * @param {string} id - 账号id，建议使用微信号的`userName`，以便`autoLogin`从`store`中读取登陆数据
+   * @param {object} [options] - 此账号的Padchat选项，与默认选项合并。服务器由连接池分配，不使用`url`
+   * @returns {Padchat} 创建的Padchat实例
+   * @memberof PadchatPool
+   */
+  add(id, options = {}) {
+    if (!id) {
+      throw new ValidationError('账号id不能为空!')
+    }
+    if (this._accounts.has(id)) {
+      throw new ValidationError(`账号 ${id} 已存在!`)
+    }
+    const account = {
+      id,
+      url : selectServer.call(this),
+      options : Object.assign({}, this.options, options),
+      wx : null,
+    }
+    this._accounts.set(id, account)
+    createInstance.call(this, account)
+    return account.wx
+  }
+
+  /**
+   * 获取账号的Padchat实例
+   *
+   * @param {string} id - 账号id
+   * @returns {Padchat|undefined} Padchat实例
+   * @memberof PadchatPool
+   */
+  get(id) {
+    const account = this._accounts.get(id)
+    return account ? account.wx : undefined
+  }
+
+  /**
+   * 是否存在账号
+   *
+   * @param {string} id - 账号id
+   * @returns {boolean} 是否存在
+   * @memberof PadchatPool
+   */
+  has(id) {
+    return this._accounts.has(id)
+  }
+
+  /**
+   * 所有账号id
+   *
+   * @readonly
+   * @memberof PadchatPool
+   */
+  get ids() {
+    return Array.from(this._accounts.keys())
+  }
+
+  /**
+   * 移除账号，并销毁其Padchat实例
+   *
+   * @param {string} id - 账号id
+   * @param {object} [options] - 销毁选项，见`Padchat#dispose`
+   * @returns {Promise<boolean>} 账号是否存在并已移除
+   * @memberof PadchatPool
+   */
+  async remove(id, options = {}) {
+    const account = this._accounts.get(id)
+    if (!account) {
+      return false
+    }
+    this._accounts.delete(id)
+    await account.wx.dispose(options)
+    return true
+  }
+
+  /**
+   * 重启账号
+   *
+   * 销毁原有的Padchat实例，重新分配服务器并创建新的实例
+   *
+   * @param {string} id - 账号id
+   * @param {object} [options] - 销毁原有实例的选项，见`Padchat#dispose`
+   * @returns {Promise<Padchat>} 新的Padchat实例
+   * @memberof PadchatPool
+   */
+  async restart(id, options = {}) {
+    const account = this._accounts.get(id)
+    if (!account) {
+      throw new ValidationError(`账号 ${id} 不存在!`)
+    }
+    const wx = account.wx
+    // 先释放原有服务器的名额，再重新分配
+    account.url = null
+    await wx.dispose(options)
+    account.url = selectServer.call(this)
+    createInstance.call(this, account)
+    return account.wx
+  }
+
+  /**
+   * 获取汇总状态
+   *
+   * @returns {object} 汇总状态
+   * ```
+   {
+     total   : 2,                                        // 账号数量
+     states  : { contacts_loaded: 1, awaiting_scan: 1 }, // 各生命周期状态的账号数量
+     servers : [{ url: 'ws://10.0.0.1:7777', count: 2, max: 20 }],
+     accounts: [{ id: 'wxid_001', url: 'ws://10.0.0.1:7777', state: 'contacts_loaded', connected: true, latency: 12 }],
+   }
+   * ```
+   * @memberof PadchatPool
+   */
+  status() {
+    const accounts = Array.from(this._accounts.values()).map(account => ({
+      id : account.id,
+      url : account.url,
+      state : account.wx.state,
+      connected : account.wx.connected,
+      latency : account.wx.latency,
+    }))
+    const states = {}
+    accounts.forEach(item => {
+      states[item.state] = (states[item.state] || 0) + 1
+    })
+    return {
+      total : accounts.length,
+      states,
+      servers : this.servers.map(url => ({
+        url,
+        count : countAccounts.call(this, url),
+        max : this.maxPerServer,
+      })),
+      accounts,
+    }
+  }
+
+  /**
+   * 移除并销毁所有账号
+   *
+   * @param {object} [options] - 销毁选项，见`Padchat#dispose`
+   * @returns {Promise<void>} 全部销毁后resolve
+   * @memberof PadchatPool
+   */
+  async dispose(options = {}) {
+    await Promise.all(this.ids.map(id => this.remove(id, options)))
+  }
+}
+
+/**
+ * 选择账号数量最少且未达到上限的服务器
+ *
+ * @private
+ * @returns {string} 服务器url
+ */
+function selectServer() {
+  let selected = null
+  let min      = Infinity
+  this.servers.forEach(url => {
+    const count = countAccounts.call(this, url)
+    if (count < this.maxPerServer && count < min) {
+      selected = url
+      min = count
+    }
+  })
+  if (!selected) {
+    throw new PadchatError(`所有服务器的账号数量均已达到上限(${this.maxPerServer})!`, { code : errorCode.POOL_FULL })
+  }
+  return selected
+}
+
+/**
+ * 统计服务器上的账号数量
+ *
+ * @param {string} url - 服务器url
+ * @private
+ * @returns {number} 账号数量
+ */
+function countAccounts(url) {
+  let count = 0
+  this._accounts.forEach(account => {
+    if (account.url === url) {
+      count++
+    }
+  })
+  return count
+}
+
+/**
+ * 为账号创建Padchat实例，转发其事件并连接服务器（账号选项中`autoConnect`为`false`时不连接）
+ *
+ * @param {object} account - 账号
+ * @private
+ * @returns {void}
+ */
+function createInstance(account) {
+  const { id } = account
+  const wx     = new Padchat(account.url, Object.assign({}, account.options, { autoConnect : false }))
+  account.wx = wx
+  this.events.forEach(event => {
+    wx.on(event, (...args) => {
+      // 已被重启替换的实例不再转发
+      if (account.wx === wx) {
+        this.emit(event, id, ...args)
+      }
+    })
+  })
+  if (this.autoLogin) {
+    const login = () => {
+      wx.autoLogin({ account : id })
+        .catch(e => {
+          this.emit('warn', id, e)
+        })
+    }
+    wx.on('open', login)
+    // 重连后未能恢复登陆（没有登陆数据或恢复失败）时，重新自动登陆
+    wx.on('reconnected', info => {
+      if (!info.loginType) {
+        login()
+      }
+    })
+  }
+  if (account.options.autoConnect === false) {
+    return
+  }
+  wx.start()
+    .catch(e => {
+      this.emit('error', id, e)
+    })
+}
+
+PadchatPool.forwardEvents = forwardEvents
+module.exports = PadchatPool
@@ -0,0 +1,418 @@
+'use strict'
+
+const fs   = require('fs')
+const http = require('http')
+const util = require('util')
+
+const { errorCode, PadchatError, ValidationError } = require('./errors')
+const { scanStatus }                               = require('./define')
+
+const writeFile = util.promisify(fs.writeFile)
+
+// 各扫码状态在网页上显示的提示
+const statusText = {
+  [scanStatus.waiting] : '请使用手机微信扫码登陆',
+  [scanStatus.scanned] : '已扫码，请在手机上确认登陆',
+  [scanStatus.confirmed] : '已确认，正在登陆...',
+  [scanStatus.expired] : '二维码已过期',
+  [scanStatus.cancelled] : '已在手机上取消登陆',
+}
+
+// 二维码网页，通过`/events`接收状态变化并刷新二维码
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>微信扫码登陆</title>
+<style>
+body { font-family: sans-serif; text-align: center; padding-top: 40px; color: #333; }
+img { width: 280px; height: 280px; image-rendering: pixelated; }
+.hidden { display: none; }
+</style>
+</head>
+<body>
+<img id="qrcode" class="hidden" alt="登陆二维码">
+<p id="text"></p>
+<script>
+var img = document.getElementById('qrcode')
+var text = document.getElementById('text')
+var version = -1
+new EventSource('/events').onmessage = function (e) {
+  var data = JSON.parse(e.data)
+  text.textContent = data.text
+  img.className = data.hasImage && !data.loggedIn ? '' : 'hidden'
+  if (data.hasImage && data.version !== version) {
+    version = data.version
+    img.src = '/qrcode.png?v=' + version
+  }
+}
+</script>
+</body>
+</html>
+`
+
+/**
+ * 在终端中显示二维码
+ *
+ * 需要安装`qrcode-terminal`模块
+ *
+ * @example
+ * wx.on('qrcode', async data => console.log(await qrcode.toTerminal(data.url)))
+ *
+ * @param {string} text - 二维码内容，如`qrcode`事件的`url`
+ * @param {object} [options] - 选项
+ * @param {boolean} [options.small=false] - 是否使用紧凑的显示方式
+ * @returns {Promise<string>} 可直接输出到终端的二维码文本
+ */
+async function toTerminal(text, options = {}) {
+  const encoder = loadModule('qrcode-terminal')
+  return new Promise(resolve => {
+    encoder.generate(String(text), { small : !!options.small }, resolve)
+  })
+}
+
+/**
+ * 生成svg格式的二维码
+ *
+ * 需要安装`qrcode`模块
+ *
+ * @param {string} text - 二维码内容
+ * @returns {Promise<string>} svg文本
+ */
+async function toSVG(text) {
+  return loadModule('qrcode').toString(String(text), { type : 'svg' })
+}
+
+/**
+ * 生成png格式的二维码
+ *
+ * 传入`qrcode`事件数据时，直接使用其中服务器生成的二维码图片（`qrCode`字段），无需安装其他模块；
+ * 传入文本时，需要安装`qrcode`模块
+ *
+ * @param {string|object} source - 二维码内容，或`qrcode`事件数据
+ * @param {string} [file] - 保存的文件路径，不传入时不保存
+ * @returns {Promise<Buffer>} png图片数据
+ */
+async function toPNG(source, file) {
+  let buf
+  if (source instanceof Object && source.qrCode) {
+    buf = decodeImage(source.qrCode)
+  } else {
+    const text = source instanceof Object ? source.url : source
+    if (!text) {
+      throw new ValidationError('没有可生成二维码的内容!')
+    }
+    buf = await loadModule('qrcode').toBuffer(String(text), { type : 'png' })
+  }
+  if (file) {
+    await writeFile(file, buf)
+  }
+  return buf
+}
+
+/**
+ * 保存接口返回的图片到文件
+ *
+ * 可用于保存`getRoomQrcode`/`getContactQrcode`返回的二维码图片，及`qrcode`事件推送的登陆二维码
+ *
+ * @example
+ * await qrcode.saveImage(await wx.getRoomQrcode('xxx@chatroom'), './room.png')
+ *
+ * @param {string|object} image - base64图片数据，或包含`qrCode`字段的接口返回结果（或其`data`字段）、事件数据
+ * @param {string} file - 保存的文件路径
+ * @returns {Promise<Buffer>} 图片数据
+ */
+async function saveImage(image, file) {
+  if (image instanceof Object) {
+    const data = image.data instanceof Object ? image.data : image
+    if (image.success === false) {
+      throw new ValidationError('接口执行失败，没有图片数据! err: ' + image.error)
+    }
+    image = data.qrCode || data.image
+  }
+  if (!image || typeof image !== 'string') {
+    throw new ValidationError('没有图片数据!')
+  }
+  if (!file) {
+    throw new ValidationError('未指定保存的文件路径!')
+  }
+  const buf = decodeImage(image)
+  await writeFile(file, buf)
+  return buf
+}
+
+/**
+ * 登陆二维码网页
+ *
+ * 在本地启动一个简单的http服务，显示当前的登陆二维码及扫码状态，收到新的二维码或扫码状态变化时网页自动刷新。
+ * 用于在没有图形界面的服务器上扫码登陆
+ *
+ * 路径 | 说明
+ * ---- | ----
+ * / | 二维码网页
+ * /qrcode.png | 当前的二维码图片
+ * /status | 当前状态（json）
+ * /events | 状态变化推送（Server-Sent Events）
+ *
+ * **注意：** 任何能访问此网页的人都可以扫码登陆，默认只监听`127.0.0.1`
+ *
+ * @example
+ * const page = new QrcodeServer({ port: 8080 }).attach(wx)
+ * await page.listen()
+ * console.log('请打开 %s 扫码登陆', page.url)
+ *
+ * @class QrcodeServer
+ */
+class QrcodeServer {
+  /**
+   * Creates an instance of QrcodeServer.
+   * @param {object} [options] - 选项
+   * @param {number} [options.port=8080] - 监听端口，为0时随机分配
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @memberof QrcodeServer
+   */
+  constructor(options = {}) {
+    this.port = options.port === undefined ? 8080 : options.port
+    this.host = options.host || '127.0.0.1'
+    this._clients = new Set()
+    this._wx = null
+    this._current = {
+      version : 0,
+      status : null,
+      text : '等待获取登陆二维码...',
+      url : '',
+      qrCode : '',
+      loggedIn : false,
+    }
+    this._listeners = {
+      qrcode : data => {
+        this.update({
+          version : this._current.version + 1,
+          status : scanStatus.waiting,
+          text : statusText[scanStatus.waiting],
+          url : data.url || '',
+          qrCode : data.qrCode || '',
+          loggedIn : false,
+        })
+      },
+      scan : data => {
+        let text = statusText[data.status] || `未知扫码状态: ${data.status}`
+        if (data.status === scanStatus.confirmed && data.subStatus !== 0) {
+          text = '已在手机上确认，但登陆失败'
+        }
+        this.update({
+          status : data.status,
+          text,
+        })
+      },
+      login : () => {
+        this.update({
+          text : '登陆成功',
+          url : '',
+          qrCode : '',
+          loggedIn : true,
+        })
+      },
+    }
+  }
+
+  /**
+   * 网页url
+   *
+   * @readonly
+   * @memberof QrcodeServer
+   */
+  get url() {
+    return `http://${this.host}:${this.port}/`
+  }
+
+  /**
+   * 监听Padchat实例的`qrcode`/`scan`/`login`事件
+   *
+   * @param {Padchat} wx - Padchat实例
+   * @returns {QrcodeServer} 当前实例，便于链式调用
+   * @memberof QrcodeServer
+   */
+  attach(wx) {
+    this.detach()
+    this._wx = wx
+    Object.keys(this._listeners).forEach(event => {
+      wx.on(event, this._listeners[event])
+    })
+    return this
+  }
+
+  /**
+   * 停止监听Padchat实例的事件
+   *
+   * @returns {void}
+   * @memberof QrcodeServer
+   */
+  detach() {
+    if (!this._wx) {
+      return
+    }
+    Object.keys(this._listeners).forEach(event => {
+      this._wx.removeListener(event, this._listeners[event])
+    })
+    this._wx = null
+  }
+
+  /**
+   * 更新当前状态，并通知已打开的网页
+   *
+   * 使用`attach`时会自动调用，也可自行传入二维码数据
+   *
+   * @param {object} data - 要更新的字段：`url`/`qrCode`/`status`/`text`等
+   * @returns {void}
+   * @memberof QrcodeServer
+   */
+  update(data) {
+    Object.assign(this._current, data)
+    const msg = `data: ${JSON.stringify(getStatus(this._current))}\n\n`
+    this._clients.forEach(res => res.write(msg))
+  }
+
+  /**
+   * 启动http服务
+   *
+   * @returns {Promise<QrcodeServer>} 开始监听后resolve
+   * @memberof QrcodeServer
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        onRequest.call(this, req, res)
+          .catch(e => {
+            res.writeHead(500, { 'Content-Type' : 'text/plain; charset=utf-8' })
+            res.end(e.message)
+          })
+      })
+      this.server
+        .once('error', reject)
+        .listen(this.port, this.host, () => {
+          this.port = this.server.address().port
+          resolve(this)
+        })
+    })
+  }
+
+  /**
+   * 关闭http服务，并停止监听Padchat实例的事件
+   *
+   * @returns {Promise<void>} 关闭后resolve
+   * @memberof QrcodeServer
+   */
+  close() {
+    this.detach()
+    this._clients.forEach(res => res.end())
+    this._clients.clear()
+    if (!this.server) {
+      return Promise.resolve()
+    }
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+}
+
+/**
+ * 处理http请求
+ *
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @private
+ * @returns {Promise<void>} 处理完毕后resolve
+ */
+async function onRequest(req, res) {
+  const current = this._current
+  switch (req.url.split('?')[0]) {
+    case '/':
+      res.writeHead(200, { 'Content-Type' : 'text/html; charset=utf-8' })
+      res.end(PAGE)
+      return
+    case '/status':
+      res.writeHead(200, { 'Content-Type' : 'application/json; charset=utf-8' })
+      res.end(JSON.stringify(getStatus(current)))
+      return
+    case '/qrcode.png':
+      if (!current.qrCode && !current.url) {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+      res.writeHead(200, { 'Content-Type' : 'image/png', 'Cache-Control' : 'no-store' })
+      res.end(await toPNG(current))
+      return
+    case '/events':
+      res.writeHead(200, {
+        'Content-Type' : 'text/event-stream',
+        'Cache-Control' : 'no-store',
+        Connection : 'keep-alive',
+      })
+      res.write(`data: ${JSON.stringify(getStatus(current))}\n\n`)
+      this._clients.add(res)
+      req.on('close', () => this._clients.delete(res))
+      return
+    default:
+      res.writeHead(404)
+      res.end()
+      return
+  }
+}
+
+/**
+ * 获取推送给网页的状态
+ *
+ * @param {object} current - 当前状态
+ * @private
+ * @returns {object} 状态
+ */
+function getStatus(current) {
+  return {
+    version : current.version,
+    status : current.status,
+    text : current.text,
+    hasImage : !!(current.qrCode || current.url),
+    loggedIn : current.loggedIn,
+  }
+}
+
+/**
+ * 将base64图片数据转换为Buffer
+ *
+ * @param {string} image - base64图片数据，可包含`data:image/png;base64,`前缀
+ * @private
+ * @returns {Buffer} 图片数据
+ */
+function decodeImage(image) {
+  return Buffer.from(image.replace(/^data:image\/\w+;base64,/, ''), 'base64')
+}
+
+/**
+ * 载入可选依赖模块
+ *
+ * @param {string} name - 模块名称
+ * @private
+ * @returns {object} 模块
+ */
+function loadModule(name) {
+  try {
+    return require(name)
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') {
+      throw e
+    }
+    throw new PadchatError(`需要安装${name}模块才能使用此功能，请执行：npm install ${name}`, {
+      code : errorCode.MISSING_MODULE,
+      cause : e,
+    })
+  }
+}
+
+module.exports = {
+  toTerminal,
+  toSVG,
+  toPNG,
+  saveImage,
+  QrcodeServer,
+}
@@ -0,0 +1,374 @@
+'use strict'
+
+const EventEmitter = require('events')
+const fs           = require('fs')
+
+const { ValidationError } = require('./errors')
+
+// 与`ws`模块一致的连接状态
+const CONNECTING = 0
+const OPEN       = 1
+const CLOSED     = 3
+
+/**
+ * ws数据录制器
+ *
+ * 将Padchat实例收发的每一条ws数据，以及连接建立、断开，按行写入JSONL文件：
+ * ```
+ {"time":1528860000000,"dir":"out","frame":"{\"type\":\"user\",\"cmd\":\"init\",...}"}
+ {"time":1528860000012,"dir":"in","frame":"{\"type\":\"cmdRet\",...}"}
+ {"time":1528860000500,"dir":"close"}
+ * ```
+ * `dir`为`in`（接收）、`out`（发送）、`open`（连接建立）、`close`（连接断开）。
+ *
+ * **注意：** 录制文件中包含`wxData`、`token`等登陆数据及聊天内容，请妥善保管。
+ * 可使用中间件的`beforeSend`钩子在发送前脱敏。
+ *
+ * @example
+ * const recorder = new Recorder(wx, './padchat.jsonl')
+ * // ...
+ * recorder.stop()
+ *
+ * @class Recorder
+ */
+class Recorder {
+  /**
+   * Creates an instance of Recorder.
+   * @param {Padchat} wx - 要录制的Padchat实例
+   * @param {string|stream.Writable} output - 录制文件路径（追加写入），或可写流
+   * @memberof Recorder
+   */
+  constructor(wx, output) {
+    if (!output) {
+      throw new ValidationError('未指定录制文件!')
+    }
+    this.wx = wx
+    this._own = typeof output === 'string'
+    this.stream = this._own ? fs.createWriteStream(output, { flags : 'a' }) : output
+    this._onFrame = (dir, frame) => {
+      this.write(dir, frame)
+    }
+    wx._event.on('frame', this._onFrame)
+  }
+
+  /**
+   * 写入一条记录
+   *
+   * @param {string} dir - 方向：`in`/`out`/`open`/`close`
+   * @param {string} [frame] - ws数据文本
+   * @returns {void}
+   * @memberof Recorder
+   */
+  write(dir, frame) {
+    const record = { time : Date.now(), dir }
+    if (frame !== undefined) {
+      record.frame = String(frame)
+    }
+    this.stream.write(JSON.stringify(record) + '\n')
+  }
+
+  /**
+   * 停止录制
+   *
+   * 如果录制文件由录制器打开，则同时关闭文件
+   *
+   * @returns {void}
+   * @memberof Recorder
+   */
+  stop() {
+    this.wx._event.removeListener('frame', this._onFrame)
+    if (this._own) {
+      this.stream.end()
+    }
+  }
+}
+
+/**
+ * 回放时代替ws连接的模拟socket
+ *
+ * @class ReplaySocket
+ * @extends {EventEmitter}
+ * @private
+ */
+class ReplaySocket extends EventEmitter {
+  /**
+   * Creates an instance of ReplaySocket.
+   * @param {Replayer} replayer - 所属的回放器
+   * @memberof ReplaySocket
+   */
+  constructor(replayer) {
+    super()
+    this.replayer = replayer
+    this.readyState = CONNECTING
+  }
+
+  send(frame, cb) {
+    this.replayer._receive(frame)
+    if (cb) {
+      setImmediate(cb)
+    }
+  }
+
+  close() {
+    this.terminate()
+  }
+
+  terminate() {
+    if (this.readyState === CLOSED) {
+      return
+    }
+    this.readyState = CLOSED
+    setImmediate(() => this.emit('close'))
+  }
+}
+
+/**
+ * ws数据回放器
+ *
+ * 无需服务器，将`Recorder`录制的数据回放给Padchat实例，用于复现问题及测试。
+ *
+ * 回放器按录制顺序处理每条记录：
+ * - `open`/`close`：模拟连接建立、断开
+ * - `in`：将数据推送给实例。如果是指令返回结果，会将`cmdId`替换为实例回放时发送的对应指令的`cmdId`
+ * - `out`：等待实例发送相同`type`及`cmd`的数据，以保证回放顺序与录制时一致。
+ * 等待超时则触发`mismatch`事件，并继续回放
+ *
+ * 回放结束时触发`end`事件。
+ *
+ * 回放期间会关闭实例的自动重连及心跳检测，避免回放的连接断开后建立真实的ws连接，或因模拟socket不回应心跳而断开。
+ * 回放结束且模拟socket已断开后恢复原有设置
+ *
+ * @example
+ * const wx       = new Padchat(undefined, { autoConnect: false })
+ * const replayer = new Replayer('./padchat.jsonl')
+ * wx.on('push', data => console.log(data))
+ * await replayer.attach(wx)
+ *
+ * @class Replayer
+ * @extends {EventEmitter}
+ */
+class Replayer extends EventEmitter {
+  /**
+   * Creates an instance of Replayer.
+   * @param {string|Array<object>} source - 录制文件路径，或已读取的记录数组
+   * @param {object} [options] - 回放选项
+   * @param {number} [options.speed=0] - 回放速度倍数，按录制时的时间间隔回放。为0时不等待，立即回放
+   * @param {number} [options.waitTimeout=5000] - 等待实例发送指令的超时时间，单位毫秒
+   * @memberof Replayer
+   */
+  constructor(source, options = {}) {
+    super()
+    this.records = typeof source === 'string' ? Replayer.load(source) : source
+    this.speed = options.speed || 0
+    this.waitTimeout = options.waitTimeout || 5000
+    // 录制时的cmdId与回放时的cmdId的对应关系
+    this._cmdIds = new Map()
+    // 实例已发送但还没有对应上录制记录的数据
+    this._sent = []
+    this._waiting = null
+  }
+
+  /**
+   * 读取录制文件
+   *
+   * @static
+   * @param {string} file - 录制文件路径
+   * @returns {Array<object>} 记录数组
+   * @memberof Replayer
+   */
+  static load(file) {
+    return String(fs.readFileSync(file))
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+  }
+
+  /**
+   * 将录制的数据回放给Padchat实例
+   *
+   * 回放器会使用模拟的socket代替实例的ws连接。实例应使用`autoConnect: false`创建，避免先连接真实的服务器
+   *
+   * @param {Padchat} wx - Padchat实例
+   * @returns {Promise<void>} 回放完毕后resolve
+   * @memberof Replayer
+   */
+  async attach(wx) {
+    const socket  = this.socket = new ReplaySocket(this)
+    const restore = disableAutoConnection(wx)
+    try {
+      await wx.start(socket)
+
+      let lastTime = 0
+      for (const record of this.records) {
+        if (this.speed > 0 && lastTime) {
+          await sleep((record.time - lastTime) / this.speed)
+        }
+        lastTime = record.time
+        await this._play(record)
+      }
+    } finally {
+      // 在实例处理完模拟socket的`close`事件后再恢复，此时不会再安排重连
+      if (socket.readyState === CLOSED) {
+        restore()
+      } else {
+        socket.once('close', restore)
+      }
+    }
+    this.emit('end')
+  }
+
+  /**
+   * 回放一条记录
+   *
+   * @param {object} record - 录制的记录
+   * @returns {Promise<void>} 处理完毕后resolve
+   * @private
+   * @memberof Replayer
+   */
+  async _play(record) {
+    const socket = this.socket
+    switch (record.dir) {
+      case 'open':
+        socket.readyState = OPEN
+        socket.emit('open')
+        break
+      case 'close':
+        socket.readyState = CLOSED
+        socket.emit('close')
+        break
+      case 'out':
+        await this._expect(JSON.parse(record.frame))
+        break
+      case 'in':
+        socket.emit('message', this._rewrite(record.frame))
+        break
+      default:
+        break
+    }
+    // 让实例处理完本条数据再继续
+    await sleep(0)
+  }
+
+  /**
+   * 等待实例发送与录制记录相同的数据
+   *
+   * @param {object} expected - 录制时发送的数据
+   * @returns {Promise<void>} 对应上或等待超时后resolve
+   * @private
+   * @memberof Replayer
+   */
+  async _expect(expected) {
+    const sent = await new Promise(resolve => {
+      this._waiting = { expected, resolve }
+      this._match()
+      if (this._waiting) {
+        this._waiting.timer = setTimeout(() => {
+          this._waiting = null
+          resolve(null)
+        }, this.waitTimeout)
+      }
+    })
+    if (!sent) {
+      this.emit('mismatch', expected)
+      return
+    }
+    if (expected.cmdId) {
+      this._cmdIds.set(expected.cmdId, sent.cmdId)
+    }
+  }
+
+  /**
+   * 在实例已发送的数据中查找正在等待的数据
+   *
+   * @returns {void}
+   * @private
+   * @memberof Replayer
+   */
+  _match() {
+    if (!this._waiting) {
+      return
+    }
+    const { expected, resolve, timer } = this._waiting
+    const index = this._sent.findIndex(item => item.type === expected.type && item.cmd === expected.cmd)
+    if (index < 0) {
+      return
+    }
+    const sent = this._sent.splice(index, 1)[0]
+    clearTimeout(timer)
+    this._waiting = null
+    resolve(sent)
+  }
+
+  /**
+   * 接收实例发送的数据
+   *
+   * @param {string} frame - ws数据文本
+   * @returns {void}
+   * @private
+   * @memberof Replayer
+   */
+  _receive(frame) {
+    try {
+      this._sent.push(JSON.parse(frame))
+    } catch (e) {
+      return
+    }
+    this._match()
+  }
+
+  /**
+   * 将指令返回结果中的cmdId替换为回放时的cmdId
+   *
+   * @param {string} frame - 录制的ws数据文本
+   * @returns {string} 替换后的数据文本
+   * @private
+   * @memberof Replayer
+   */
+  _rewrite(frame) {
+    let data
+    try {
+      data = JSON.parse(frame)
+    } catch (e) {
+      return frame
+    }
+    if (!data.cmdId || !this._cmdIds.has(data.cmdId)) {
+      return frame
+    }
+    data.cmdId = this._cmdIds.get(data.cmdId)
+    return JSON.stringify(data)
+  }
+}
+
+/**
+ * 关闭实例的自动重连及心跳检测
+ *
+ * @param {Padchat} wx - Padchat实例
+ * @private
+ * @returns {Function} 恢复原有设置的函数
+ */
+function disableAutoConnection(wx) {
+  const reconnect = wx._reconnect.enabled
+  const heartbeat = wx._heartbeat.enabled
+  wx._reconnect.enabled = false
+  wx._heartbeat.enabled = false
+  return () => {
+    wx._reconnect.enabled = reconnect
+    wx._heartbeat.enabled = heartbeat
+  }
+}
+
+/**
+ * 等待指定时间
+ *
+ * @param {number} ms - 等待时间，单位毫秒
+ * @private
+ * @returns {Promise<void>} 等待结束后resolve
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+module.exports = {
+  Recorder,
+  Replayer,
+}
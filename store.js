@@ -0,0 +1,333 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs     = require('fs')
+const util   = require('util')
+
+const { PadchatError, ValidationError } = require('./errors')
+
+const readFile  = util.promisify(fs.readFile)
+const writeFile = util.promisify(fs.writeFile)
+const rename    = util.promisify(fs.rename)
+
+/**
+ * 登陆数据存储基类
+ *
+ * 按微信账号保存登陆使用的设备62数据（`wxData`）及二次登陆`token`，以`getMyInfo`返回的`userName`为key，
+ * 也可使用`uin`查找。记录结构为：
+ * ```
+ {
+   userName : 'wxid_xxxx',
+   uin      : 123456,
+   wxData   : '62xxxx',
+   token    : 'xxxx',
+   updatedAt: 1528860000000,
+ }
+ * ```
+ *
+ * 子类只需实现`_read()`及`_write(records)`，读写以`userName`为key的全部记录。
+ * Padchat通过`load(key)`及`save(data)`读写，见构造函数的`store`选项及`autoLogin`。
+ * 同一实例的`save`及`remove`会依次执行，多个账号可共用一个存储
+ *
+ * @class CredentialStore
+ */
+class CredentialStore {
+  /**
+   * Creates an instance of CredentialStore.
+   * @memberof CredentialStore
+   */
+  constructor() {
+    // 正在执行的读取-合并-写入操作，串行执行避免并发保存时相互覆盖
+    this._lock = Promise.resolve()
+  }
+
+  /**
+   * 读取账号的登陆数据
+   *
+   * @param {string|number} [key] - `userName`或`uin`。不传入时返回最近保存的账号
+   * @returns {Promise<object|null>} 登陆数据，没有时为`null`
+   * @memberof CredentialStore
+   */
+  async load(key) {
+    const records = await this._read()
+    const list    = Object.keys(records).map(name => records[name])
+    if (key === undefined || key === null || key === '') {
+      return list.reduce((last, item) => (!last || item.updatedAt > last.updatedAt ? item : last), null)
+    }
+    return list.find(item => item.userName === key || String(item.uin) === String(key)) || null
+  }
+
+  /**
+   * 保存账号的登陆数据
+   *
+   * 与已有记录合并，值为空的字段不会覆盖已有数据。
+   * 存在没有`userName`的记录（如`FileStore`从旧版`{ wxData, token }`格式转换的数据）时，合并到此次保存的账号
+   *
+   * @param {object} data - 登陆数据，必须包含`userName`
+   * @returns {Promise<object>} 保存后的记录
+   * @memberof CredentialStore
+   */
+  async save(data) {
+    if (!data || !data.userName) {
+      throw new ValidationError('保存登陆数据需要提供userName!')
+    }
+    return await exclusive.call(this, async () => {
+      const records = await this._read()
+      // 没有账号信息的记录（如从旧格式转换的数据）合并到首次保存的账号
+      const record  = Object.assign({}, records[''], records[data.userName])
+      delete records['']
+      Object.keys(data).forEach(key => {
+        if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+          record[key] = data[key]
+        }
+      })
+      record.updatedAt = Date.now()
+      records[data.userName] = record
+      await this._write(records)
+      return record
+    })
+  }
+
+  /**
+   * 删除账号的登陆数据
+   *
+   * @param {string|number} key - `userName`或`uin`
+   * @returns {Promise<boolean>} 是否存在并已删除
+   * @memberof CredentialStore
+   */
+  async remove(key) {
+    return await exclusive.call(this, async () => {
+      const record = await this.load(key)
+      if (!record) {
+        return false
+      }
+      const records = await this._read()
+      delete records[record.userName]
+      await this._write(records)
+      return true
+    })
+  }
+
+  /**
+   * 获取所有已保存的账号
+   *
+   * @returns {Promise<Array<object>>} 登陆数据列表
+   * @memberof CredentialStore
+   */
+  async list() {
+    const records = await this._read()
+    return Object.keys(records).map(name => records[name])
+  }
+
+  /**
+   * 读取全部记录，由子类实现
+   *
+   * @returns {Promise<object>} 以`userName`为key的记录
+   * @private
+   * @memberof CredentialStore
+   */
+  async _read() {
+    throw new PadchatError('CredentialStore子类需实现_read方法!')
+  }
+
+  /**
+   * 写入全部记录，由子类实现
+   *
+   * @param {object} records - 以`userName`为key的记录
+   * @returns {Promise<void>} 写入后resolve
+   * @private
+   * @memberof CredentialStore
+   */
+  async _write(records) {
+    throw new PadchatError('CredentialStore子类需实现_write方法!')
+  }
+}
+
+/**
+ * 内存登陆数据存储
+ *
+ * 进程退出后数据丢失，用于测试或由调用方自行持久化
+ *
+ * @class MemoryStore
+ * @extends {CredentialStore}
+ */
+class MemoryStore extends CredentialStore {
+  /**
+   * Creates an instance of MemoryStore.
+   * @param {object} [records={}] - 初始记录，以`userName`为key
+   * @memberof MemoryStore
+   */
+  constructor(records = {}) {
+    super()
+    this._records = JSON.parse(JSON.stringify(records))
+  }
+
+  async _read() {
+    return JSON.parse(JSON.stringify(this._records))
+  }
+
+  async _write(records) {
+    this._records = JSON.parse(JSON.stringify(records))
+  }
+}
+
+/**
+ * 文件登陆数据存储
+ *
+ * 以json格式保存在文件中。传入`secret`时使用AES-256-GCM加密保存，密钥由`secret`经PBKDF2派生。
+ * 写入时先写临时文件再替换，避免进程中断导致文件损坏
+ *
+ * @example
+ * const store = new FileStore('./credentials.json', { secret: process.env.PADCHAT_SECRET })
+ * const wx    = new Padchat(url, { store })
+ *
+ * @class FileStore
+ * @extends {CredentialStore}
+ */
+class FileStore extends CredentialStore {
+  /**
+   * Creates an instance of FileStore.
+   * @param {string} file - 文件路径
+   * @param {object} [options] - 选项
+   * @param {string|Buffer} [options.secret] - 加密密码，不传入时明文保存
+   * @memberof FileStore
+   */
+  constructor(file, options = {}) {
+    super()
+    if (!file) {
+      throw new ValidationError('未指定登陆数据文件!')
+    }
+    this.file = file
+    this._secret = options.secret || null
+  }
+
+  async _read() {
+    let text
+    try {
+      text = String(await readFile(this.file))
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return {}
+      }
+      throw e
+    }
+    if (!text.trim()) {
+      return {}
+    }
+    const content = JSON.parse(text)
+    if (!content.encrypted) {
+      return content.accounts || getLegacyRecords(content)
+    }
+    if (!this._secret) {
+      throw new ValidationError('登陆数据文件已加密，需要提供secret!')
+    }
+    return JSON.parse(decrypt(content, this._secret)).accounts || {}
+  }
+
+  async _write(records) {
+    const plain   = JSON.stringify({ accounts : records }, null, 2)
+    const content = this._secret ? JSON.stringify(encrypt(plain, this._secret), null, 2) : plain
+    const tmpFile = `${this.file}.${process.pid}.tmp`
+    await writeFile(tmpFile, content, { mode : 0o600 })
+    await rename(tmpFile, this.file)
+  }
+}
+
+/**
+ * 等待此前的操作完成后执行读取-合并-写入操作
+ *
+ * @param {function} task - 操作函数
+ * @private
+ * @returns {Promise<*>} 操作函数的返回值
+ */
+function exclusive(task) {
+  const run  = this._lock.then(task)
+  this._lock = run.catch(() => { })
+  return run
+}
+
+/**
+ * 转换旧版demo保存的`{ wxData, token }`格式数据
+ *
+ * 旧格式中没有账号信息，转换为`userName`为空的记录，首次保存登陆数据时合并到该账号，避免丢失62数据
+ *
+ * @param {object} content - 文件内容
+ * @private
+ * @returns {object} 以`userName`为key的记录
+ */
+function getLegacyRecords(content) {
+  if (!content.wxData && !content.token) {
+    return {}
+  }
+  return {
+    '' : {
+      userName : '',
+      wxData : content.wxData || '',
+      token : content.token || '',
+      updatedAt : 0,
+    },
+  }
+}
+
+/**
+ * 使用AES-256-GCM加密文本
+ *
+ * @param {string} text - 明文
+ * @param {string|Buffer} secret - 密码
+ * @private
+ * @returns {object} 密文及加密参数
+ */
+function encrypt(text, secret) {
+  const salt   = crypto.randomBytes(16)
+  const iv     = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv)
+  const data   = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()])
+  return {
+    encrypted : true,
+    algorithm : 'aes-256-gcm',
+    salt : salt.toString('base64'),
+    iv : iv.toString('base64'),
+    tag : cipher.getAuthTag().toString('base64'),
+    data : data.toString('base64'),
+  }
+}
+
+/**
+ * 解密`encrypt`生成的密文
+ *
+ * @param {object} content - 密文及加密参数
+ * @param {string|Buffer} secret - 密码
+ * @private
+ * @returns {string} 明文
+ */
+function decrypt(content, secret) {
+  const key      = deriveKey(secret, Buffer.from(content.salt, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(content.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(content.tag, 'base64'))
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(content.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8')
+  } catch (e) {
+    throw new ValidationError('登陆数据文件解密失败，secret错误或文件已损坏!', { cause : e })
+  }
+}
+
+/**
+ * 由密码派生加密密钥
+ *
+ * @param {string|Buffer} secret - 密码
+ * @param {Buffer} salt - 盐
+ * @private
+ * @returns {Buffer} 32字节密钥
+ */
+function deriveKey(secret, salt) {
+  return crypto.pbkdf2Sync(secret, salt, 100000, 32, 'sha256')
+}
+
+module.exports = {
+  CredentialStore,
+  MemoryStore,
+  FileStore,
+}
@@ -0,0 +1,45 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test } = require('./helper')
+
+const { xml, parseAppMsg, AppMsgType } = Padchat
+
+test('xml: 解析属性、文本、CDATA及实体', () => {
+  const root = xml.parse('<?xml version="1.0"?><msg a="1 &amp; 2"><title><![CDATA[<标题>]]></title><des>a &lt; b</des><empty/></msg>')
+  assert.strictEqual(root.name, 'msg')
+  assert.strictEqual(root.attrs.a, '1 & 2')
+  assert.strictEqual(root.getText('title'), '<标题>')
+  assert.strictEqual(root.getText('des'), 'a < b')
+  assert.strictEqual(root.getText('empty'), '')
+  assert.strictEqual(root.getText('none', 'x'), 'x')
+})
+
+test('xml: 格式错误时抛出异常', () => {
+  assert.throws(() => xml.parse('<msg><title></msg>'))
+})
+
+test('appmsg: 按类型解析为对应的类', () => {
+  const file = parseAppMsg('<msg><appmsg appid=""><title>a.txt</title><type>6</type><appattach><totallen>12</totallen><fileext>txt</fileext></appattach></appmsg></msg>')
+  assert(file instanceof Padchat.FileMessage)
+  assert.strictEqual(file.type, AppMsgType.file)
+  assert.strictEqual(file.fileName, 'a.txt')
+  assert.strictEqual(file.size, 12)
+
+  const quote = parseAppMsg('<msg><appmsg><title>回复</title><type>57</type><refermsg><type>1</type><svrid>123</svrid><content>原文</content></refermsg></appmsg></msg>')
+  assert(quote instanceof Padchat.QuoteMessage)
+  assert.strictEqual(quote.text, '回复')
+  assert.strictEqual(quote.quoted.msgId, '123')
+  assert.strictEqual(quote.quoted.content, '原文')
+
+  const other = parseAppMsg('<appmsg><title>x</title><type>999</type></appmsg>')
+  assert.strictEqual(other.constructor, Padchat.AppMessage)
+  assert.strictEqual(parseAppMsg('纯文本'), null)
+})
+
+test('xml: 转换为xml文本', () => {
+  const root = xml.parse('<msg><appmsg appid="a&quot;b"><title><![CDATA[<x> & y]]></title><empty></empty></appmsg></msg>')
+  assert.strictEqual(root.child('appmsg').toString(), '<appmsg appid="a&quot;b"><title>&lt;x&gt; &amp; y</title><empty /></appmsg>')
+  assert.strictEqual(xml.parse(root.toString()).getText('appmsg.title'), '<x> & y')
+})
@@ -0,0 +1,46 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once, delay } = require('./helper')
+
+const { errorCode, ConnectionError } = Padchat
+
+test('授权通过后触发open事件，不发送secret', async () => {
+  const { server, wx, done } = await setup({ auth : { key : 'bot', secret : 'pass' } }, { auth : { key : 'bot', secret : 'pass' } })
+  try {
+    const packets = []
+    server.on('request', packet => packets.push(packet))
+    await once(wx, 'open')
+    assert.strictEqual(packets[0].cmd, 'auth')
+    assert.strictEqual(packets[0].data.accessKey, 'bot')
+    assert.strictEqual(JSON.stringify(packets[0]).indexOf('pass'), -1)
+    const ret = await wx.init()
+    assert.strictEqual(ret.success, true)
+  } finally {
+    await done()
+  }
+})
+
+test('授权失败时触发auth_failed事件，不再自动重连', async () => {
+  const { server, wx, done } = await setup({
+    auth : { key : 'bot', secret : 'wrong' },
+    reconnect : { minDelay : 20, jitter : 0 },
+  }, { auth : { key : 'bot', secret : 'pass' } })
+  try {
+    let opened = false
+    let reconnecting = false
+    wx.on('open', () => { opened = true })
+    wx.on('reconnecting', () => { reconnecting = true })
+    const [err] = await once(wx, 'auth_failed')
+    assert(err instanceof ConnectionError)
+    assert.strictEqual(err.code, errorCode.AUTH_FAILED)
+    await once(wx, 'close')
+    await delay(100)
+    assert.strictEqual(opened, false)
+    assert.strictEqual(reconnecting, false)
+    assert.strictEqual(server.clients.size, 0)
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,56 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once, settle } = require('./helper')
+
+const { errorCode } = Padchat
+
+test('销毁时reject等待结果的指令及waitFor调用', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.init()
+    // 不返回结果的接口
+    server.fixture('sendMsg', () => new Promise(() => { }))
+    const sending = settle(wx.sendMsg('wxid_a', 'a'))
+    const waiting = settle(wx.waitFor('logged_in'))
+    const disconnected = wx.waitFor('disconnected')
+    await wx.dispose()
+
+    assert.strictEqual((await sending).code, errorCode.DISPOSED)
+    assert.strictEqual((await waiting).code, errorCode.DISPOSED)
+    assert.strictEqual(await disconnected, 'disconnected')
+    assert.strictEqual(wx.state, 'disconnected')
+  } finally {
+    await done()
+  }
+})
+
+test('销毁后不能再使用实例', async () => {
+  const { wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.dispose()
+    await assert.rejects(wx.start(), err => err.code === errorCode.DISPOSED)
+    await assert.rejects(wx.sendMsg('wxid_a', 'a'), err => err.code === errorCode.DISPOSED)
+    // 重复销毁不报错
+    await wx.dispose()
+  } finally {
+    await done()
+  }
+})
+
+test('销毁时注销任务实例', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    const cmds = []
+    server.on('request', packet => cmds.push(packet.cmd))
+    await wx.dispose({ close : true })
+    assert.deepStrictEqual(cmds, ['close'])
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,67 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once } = require('./helper')
+
+const { errorCode, PadchatError, ConnectionError, TimeoutError, ServerError, ValidationError } = Padchat
+
+test('异常类型及默认错误代码', async () => {
+  const cause = new Error('原始异常')
+  const err   = new ServerError('失败', { cmd : 'sendMsg', cmdId : '1', status : -1, cause, result : { success : false } })
+  assert(err instanceof PadchatError)
+  assert(err instanceof Error)
+  assert.strictEqual(err.name, 'ServerError')
+  assert.strictEqual(err.code, errorCode.SERVER)
+  assert.strictEqual(err.cmd, 'sendMsg')
+  assert.strictEqual(err.status, -1)
+  assert.strictEqual(err.cause, cause)
+  assert.deepStrictEqual(err.result, { success : false })
+
+  assert.strictEqual(new PadchatError('').code, 'ERR_PADCHAT')
+  assert.strictEqual(new ConnectionError('').code, errorCode.NOT_CONNECTED)
+  assert.strictEqual(new TimeoutError('').code, errorCode.TIMEOUT)
+  assert.strictEqual(new ValidationError('').code, errorCode.INVALID_ARGS)
+  assert.strictEqual(new ConnectionError('', { code : errorCode.DISCONNECTED }).code, errorCode.DISCONNECTED)
+})
+
+test('接口参数错误及未连接时reject对应的异常', async () => {
+  const wx = new Padchat('ws://127.0.0.1:1', { autoConnect : false })
+  try {
+    await assert.rejects(wx.login('unknown'), err => err instanceof ValidationError && err.cmd === 'login')
+    await assert.rejects(wx.massMsg(['wxid_a'], 'hi'), err => err instanceof PadchatError && err.code === errorCode.DEPRECATED)
+    await assert.rejects(wx.getMyInfo(), err => err instanceof ConnectionError && err.code === errorCode.NOT_CONNECTED)
+  } finally {
+    await wx.dispose()
+  }
+})
+
+test('异常数据及服务器提示通过error/warn事件触发', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    const [client] = server.clients
+
+    const error = once(wx, 'error')
+    client.ws.send('not json')
+    const [invalid] = await error
+    assert(invalid instanceof PadchatError)
+    assert.strictEqual(invalid.code, errorCode.INVALID_DATA)
+    assert(invalid.cause instanceof SyntaxError)
+
+    let warn = once(wx, 'warn')
+    client.ws.send(JSON.stringify({ type : 'cmdRet', cmdId : 'unknown', data : { success : true } }))
+    const [unhandled] = await warn
+    assert.strictEqual(unhandled.code, errorCode.UNHANDLED_RET)
+    assert.strictEqual(unhandled.cmdId, 'unknown')
+
+    warn = once(wx, 'warn')
+    server.event('warn', { error : '操作频繁', status : -1 })
+    const [serverWarn] = await warn
+    assert(serverWarn instanceof ServerError)
+    assert.strictEqual(serverWarn.code, errorCode.SERVER_WARN)
+    assert.strictEqual(serverWarn.status, -1)
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,27 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, MockServer, test, once } = require('./helper')
+
+test('首次连接失败时切换到下一个服务器', async () => {
+  const server = new MockServer({ port : 0 })
+  await server.listen()
+  // 先占用一个端口再关闭，得到一个无法连接的地址
+  const dead = new MockServer({ port : 0 })
+  await dead.listen()
+  await dead.close()
+
+  const wx = new Padchat([dead.url, server.url], { reconnect : false })
+  wx.on('error', () => { })
+  try {
+    const [url, prevUrl] = await once(wx, 'server_switched')
+    assert.strictEqual(url, server.url)
+    assert.strictEqual(prevUrl, dead.url)
+    await wx.waitFor('connected')
+    assert.strictEqual(wx.url, server.url)
+  } finally {
+    await wx.dispose()
+    await server.close()
+  }
+})
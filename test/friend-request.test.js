@@ -0,0 +1,73 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once } = require('./helper')
+const { parseFriendRequest } = require('../friend-request')
+
+// 模拟已登陆的Padchat实例
+const wx = { myInfo : { userName : 'wxid_me' } }
+
+const content = '<msg fromusername="wxid_new" encryptusername="v1_abc@stranger" fromnickname="新朋友" content="你好" scene="30" ticket="v2_def@stranger"></msg>'
+
+test('解析请求，拒绝后不能再处理', async () => {
+  const request = parseFriendRequest(wx, content)
+  assert(request instanceof Padchat.FriendRequest)
+  assert.strictEqual(request.hello, '你好')
+  assert.strictEqual(request.stranger, 'v1_abc@stranger')
+  assert.strictEqual(request.contact.userName, 'wxid_new')
+  assert.strictEqual(request.status, 'pending')
+
+  await request.reject()
+  assert.strictEqual(request.status, 'rejected')
+  await assert.rejects(request.accept(), Padchat.ValidationError)
+  await assert.rejects(request.reject(), Padchat.ValidationError)
+
+  assert.strictEqual(parseFriendRequest(wx, '<msg fromusername="wxid_new"></msg>'), null)
+  assert.strictEqual(parseFriendRequest(wx, 'broken <msg'), null)
+})
+
+test('通过请求并设置备注及标签，并发调用时只提交一次', async () => {
+  const { server, wx : client, done } = await setup()
+  try {
+    await once(client, 'open')
+    await client.autoLogin()
+    const labels = [{ id : 1, name : '已有' }]
+    server.fixture('getLabelList', () => ({ success : true, data : { status : 0, label : labels.slice() } }))
+    server.fixture('addLabel', data => {
+      labels.push({ id : labels.length + 1, name : data.label })
+      return { success : true, data : { status : 0 } }
+    })
+    const cmds = []
+    server.on('request', packet => cmds.push(packet.cmd))
+
+    const request = parseFriendRequest(client, content)
+    const first = request.accept({ remark : '备注', label : ['已有', '新标签'] })
+    assert.strictEqual(request.status, 'accepting')
+    await assert.rejects(request.accept(), Padchat.ValidationError)
+    await assert.rejects(request.reject(), Padchat.ValidationError)
+    assert.strictEqual((await first).userName, 'wxid_new')
+    assert.strictEqual(request.status, 'accepted')
+    assert.deepStrictEqual(cmds, ['acceptUser', 'setRemark', 'getLabelList', 'addLabel', 'getLabelList', 'setLabel'])
+  } finally {
+    await done()
+  }
+})
+
+test('acceptUser失败时恢复为未处理', async () => {
+  const { server, wx : client, done } = await setup()
+  try {
+    await once(client, 'open')
+    await client.autoLogin()
+    server.fixture('acceptUser', () => ({ success : true, data : { status : -44, message : '验证失败' } }))
+    const request = parseFriendRequest(client, content)
+    await assert.rejects(request.accept(), Padchat.ServerError)
+    assert.strictEqual(request.status, 'pending')
+
+    server.fixture('acceptUser', {})
+    await request.accept()
+    assert.strictEqual(request.status, 'accepted')
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,56 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once } = require('./helper')
+
+const { errorCode } = Padchat
+
+test('ping心跳回应时更新延迟', async () => {
+  const { wx, done } = await setup({ heartbeat : { interval : 30 } })
+  try {
+    await once(wx, 'open')
+    assert.strictEqual(wx.latency, null)
+    const [latency] = await once(wx, 'heartbeat')
+    assert.strictEqual(typeof latency, 'number')
+    assert(latency >= 0)
+    assert.strictEqual(wx.latency, latency)
+  } finally {
+    await done()
+  }
+})
+
+test('sys心跳使用heartbeat指令', async () => {
+  const { server, wx, done } = await setup({ heartbeat : { type : 'sys', interval : 30 } })
+  try {
+    const packets = []
+    server.on('request', packet => packets.push(packet))
+    await once(wx, 'open')
+    await once(wx, 'heartbeat')
+    assert(packets.some(packet => packet.type === 'sys' && packet.cmd === 'heartbeat'))
+    assert.strictEqual(typeof wx.latency, 'number')
+  } finally {
+    await done()
+  }
+})
+
+test('连续没有回应时断开连接并自动重连', async () => {
+  const { wx, done } = await setup({
+    heartbeat : { interval : 30, maxMissed : 2 },
+    reconnect : { minDelay : 50, jitter : 0 },
+  })
+  try {
+    await once(wx, 'open')
+    await wx.init()
+    // 模拟半开连接，收不到pong
+    wx.ws.removeAllListeners('pong')
+    const [err] = await once(wx, 'warn')
+    assert.strictEqual(err.code, errorCode.HEARTBEAT)
+    await once(wx, 'close')
+    const [info] = await once(wx, 'reconnected')
+    assert.strictEqual(info.attempts, 1)
+    await once(wx, 'heartbeat')
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const Padchat    = require('..')
+const MockServer = require('../mock-server')
+
+// 已注册的用例，由`test/index.js`依次运行
+const cases = []
+
+/**
+ * 注册用例
+ *
+ * @param {string} name - 用例名称
+ * @param {function} fn - 用例函数，reject或抛出异常即为失败
+ * @returns {void}
+ */
+function test(name, fn) {
+  cases.push({ name, fn })
+}
+
+/**
+ * 启动模拟服务器，并创建连接到此服务器的Padchat实例
+ *
+ * @param {object} [options] - Padchat实例配置
+ * @param {object} [serverOptions] - 模拟服务器配置，默认随机端口、推送二维码后立即完成扫码
+ * @returns {Promise<object>} `{ server, wx, done }`，用例结束时需调用`done()`销毁实例并关闭服务器
+ */
+async function setup(options = {}, serverOptions = {}) {
+  const server = new MockServer(Object.assign({ port : 0, scanDelay : 10 }, serverOptions))
+  await server.listen()
+  const wx = new Padchat(server.url, options)
+  // 避免未监听的error事件抛出异常
+  wx.on('error', () => { })
+  return {
+    server,
+    wx,
+    done : async () => {
+      await wx.dispose()
+      await server.close()
+    },
+  }
+}
+
+/**
+ * 断开模拟服务器上的所有连接
+ *
+ * @param {MockServer} server - 模拟服务器
+ * @returns {void}
+ */
+function dropClients(server) {
+  server.clients.forEach(client => client.ws.terminate())
+}
+
+/**
+ * 等待触发指定事件
+ *
+ * @param {EventEmitter} emitter - 事件来源
+ * @param {string} event - 事件名称
+ * @returns {Promise<Array>} 事件参数
+ */
+function once(emitter, event) {
+  return new Promise(resolve => {
+    emitter.once(event, (...args) => resolve(args))
+  })
+}
+
+/**
+ * 等待指定时间
+ *
+ * @param {number} ms - 等待时间，单位毫秒
+ * @returns {Promise<void>} 到时后resolve
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * 获取Promise的结果，reject时返回异常，便于断言
+ *
+ * @param {Promise} promise - 要等待的Promise
+ * @returns {Promise<*>} resolve的值或reject的异常
+ */
+function settle(promise) {
+  return promise.then(value => value, e => e)
+}
+
+module.exports = {
+  Padchat,
+  MockServer,
+  cases,
+  test,
+  setup,
+  dropClients,
+  once,
+  delay,
+  settle,
+}
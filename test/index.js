@@ -0,0 +1,73 @@
+'use strict'
+
+/**
+ * 测试入口
+ *
+ * 依次运行`test`目录下的`*.test.js`文件，每个文件使用`helper.test(name, fn)`注册用例，函数reject或抛出异常即为失败。
+ * 运行：`npm test`，或`node test [名称...]`只运行指定的文件，如`node test mock-server`
+ */
+
+const fs   = require('fs')
+const path = require('path')
+
+const { cases } = require('./helper')
+
+// 单个用例的超时时间，单位毫秒
+const TIMEOUT = 10 * 1000
+
+/**
+ * 运行单个用例，超时时视为失败
+ *
+ * @param {function} fn - 用例函数
+ * @returns {Promise<void>} 用例通过后resolve
+ */
+function runCase(fn) {
+  let timer
+  return Promise.race([
+    Promise.resolve().then(fn),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`用例执行超时! ${TIMEOUT}ms`)), TIMEOUT)
+    }),
+  ]).then(() => clearTimeout(timer), e => {
+    clearTimeout(timer)
+    throw e
+  })
+}
+
+async function main() {
+  const names = process.argv.slice(2).map(name => path.basename(name).replace(/(\.test)?\.js$/, ''))
+  const files = fs.readdirSync(__dirname)
+    .filter(file => /\.test\.js$/.test(file))
+    .filter(file => !names.length || names.indexOf(file.replace(/\.test\.js$/, '')) !== -1)
+    .sort()
+
+  let passed = 0
+  let failed = 0
+  for (const file of files) {
+    console.log('\n%s', file)
+    const start = cases.length
+    require(path.join(__dirname, file))
+    for (const { name, fn } of cases.slice(start)) {
+      try {
+        await runCase(fn)
+        passed++
+        console.log('  ✓ %s', name)
+      } catch (e) {
+        failed++
+        console.log('  ✗ %s\n%s', name, String(e.stack || e).replace(/^/gm, '      '))
+      }
+    }
+  }
+  console.log('\n%d 通过，%d 失败', passed, failed)
+  return failed
+}
+
+main()
+  .then(failed => {
+    // 连接未完全关闭时也立即退出
+    process.exit(failed ? 1 : 0)
+  })
+  .catch(e => {
+    console.error(e)
+    process.exit(1)
+  })
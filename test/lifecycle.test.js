@@ -0,0 +1,19 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, dropClients } = require('./helper')
+
+const { errorCode } = Padchat
+
+test('不再重连时waitFor被reject', async () => {
+  const { server, wx, done } = await setup({ reconnect : false })
+  try {
+    await wx.waitFor('connected')
+    const waiting = wx.waitFor('logged_in')
+    dropClients(server)
+    await assert.rejects(waiting, err => err.code === errorCode.DISCONNECTED)
+  } finally {
+    await done()
+  }
+})
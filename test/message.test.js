@@ -0,0 +1,90 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once } = require('./helper')
+
+const { Message, MessageType } = Padchat
+
+// 模拟已登陆的Padchat实例
+const wx = { myInfo : { userName : 'wxid_me' } }
+
+test('群消息的发送者、文本及@列表', () => {
+  const msg = new Message(wx, {
+    mType : MessageType.text,
+    fromUser : '123@chatroom',
+    toUser : 'wxid_me',
+    content : 'wxid_a:\n@me 你好',
+    msgSource : '<msgsource><atuserlist><![CDATA[wxid_me,wxid_b]]></atuserlist></msgsource>',
+  })
+  assert.strictEqual(msg.isRoom, true)
+  assert.strictEqual(msg.room, '123@chatroom')
+  assert.strictEqual(msg.sender, 'wxid_a')
+  assert.strictEqual(msg.text, '@me 你好')
+  assert.deepStrictEqual(msg.atList, ['wxid_me', 'wxid_b'])
+  assert.strictEqual(msg.isMentioned, true)
+  assert.strictEqual(msg.isMentionAll, false)
+})
+
+test('与访问器或方法同名的原始字段不覆盖实例', () => {
+  const raw = { mType : MessageType.text, fromUser : 'wxid_a', content : 'hi', text : 'x', type : 2, reply : 'y' }
+  const msg = new Message(wx, raw)
+  assert.strictEqual(msg.text, 'hi')
+  assert.strictEqual(msg.type, MessageType.text)
+  assert.strictEqual(typeof msg.reply, 'function')
+  assert.strictEqual(msg.raw, raw)
+  assert.strictEqual(msg.raw.text, 'x')
+  assert.deepStrictEqual(Object.keys(msg), ['mType', 'fromUser', 'content'])
+})
+
+test('onPush中间件返回带text字段的新对象', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    wx.use({
+      onPush(item) {
+        return Object.assign({}, item, { text : item.content.toUpperCase() })
+      },
+    })
+    const errors = []
+    wx.on('error', e => errors.push(e))
+    const push = once(wx, 'push')
+    server.push({ fromUser : 'wxid_a', content : 'hello' })
+    const [msg] = await push
+    assert(msg instanceof Message)
+    assert.strictEqual(msg.content, 'hello')
+    assert.strictEqual(msg.raw.text, 'HELLO')
+    assert.deepStrictEqual(errors, [])
+  } finally {
+    await done()
+  }
+})
+
+test('转发APP消息时只发送appmsg节点', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    const sent = []
+    server.on('request', packet => {
+      if (packet.cmd === 'sendAppMsg') {
+        sent.push(packet.data)
+      }
+    })
+    const msg = new Message(wx, {
+      mType : MessageType.app,
+      fromUser : 'wxid_a',
+      content : '<?xml version="1.0"?>\n<msg><appmsg appid="" sdkver="0"><title><![CDATA[a & b]]></title><type>5</type><url>http://x.com/?a=1&amp;b=2</url></appmsg><fromusername>wxid_a</fromusername></msg>',
+    })
+    await msg.forward('wxid_b')
+    assert.strictEqual(sent.length, 1)
+    assert.strictEqual(sent[0].toUserName, 'wxid_b')
+    assert.strictEqual(sent[0].content, '<appmsg appid="" sdkver="0"><title>a &amp; b</title><type>5</type><url>http://x.com/?a=1&amp;b=2</url></appmsg>')
+
+    const broken = new Message(wx, { mType : MessageType.app, fromUser : 'wxid_a', content : '<msg><appmsg>' })
+    await assert.rejects(broken.forward('wxid_b'), Padchat.ValidationError)
+  } finally {
+    await done()
+  }
+})
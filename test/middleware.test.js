@@ -0,0 +1,112 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once, delay } = require('./helper')
+
+const { errorCode, PadchatError } = Padchat
+
+test('beforeSend修改数据包或直接返回结果', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.init()
+    const sent = []
+    server.on('request', packet => sent.push(packet.data.content))
+    wx.use({
+      beforeSend(packet) {
+        if (packet.cmd !== 'sendMsg') {
+          return
+        }
+        if (packet.data.content === 'skip') {
+          return { success : true, data : { msgId : 'local' } }
+        }
+        packet.data.content += '!'
+      },
+    })
+    await wx.sendMsg('wxid_a', 'hi')
+    const ret = await wx.sendMsg('wxid_a', 'skip')
+    assert.strictEqual(ret.data.msgId, 'local')
+    assert.deepStrictEqual(sent, ['hi!'])
+  } finally {
+    await done()
+  }
+})
+
+test('afterReceive及onPush丢弃或替换推送消息', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    wx.use({
+      afterReceive(frame) {
+        if (frame.event === 'push' && frame.data.list[0].content === 'drop frame') {
+          return false
+        }
+      },
+      onPush(item) {
+        if (/^gh_/.test(item.fromUser)) {
+          return false
+        }
+        if (item.content === 'secret') {
+          return Object.assign({}, item, { content : '***' })
+        }
+      },
+    })
+    const received = []
+    wx.on('push', msg => received.push(msg))
+    server.push({ fromUser : 'wxid_a', content : 'drop frame' })
+    server.push([
+      { fromUser : 'gh_news', content : 'ad' },
+      { fromUser : 'wxid_a', content : 'secret' },
+    ])
+    await delay(100)
+    assert.strictEqual(received.length, 1)
+    assert(received[0] instanceof Padchat.Message)
+    assert.strictEqual(received[0].content, '***')
+  } finally {
+    await done()
+  }
+})
+
+test('钩子抛出的异常包装为PadchatError', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    const cause = new Error('boom')
+    wx.use({
+      beforeSend(packet) {
+        if (packet.cmd === 'sendMsg') {
+          throw cause
+        }
+      },
+      onPush(item) {
+        if (item.content === 'bad') {
+          throw cause
+        }
+      },
+    })
+    await assert.rejects(wx.sendMsg('wxid_a', 'hi'), err => {
+      return err instanceof PadchatError && err.code === errorCode.MIDDLEWARE &&
+        err.cause === cause && err.cmd === 'sendMsg'
+    })
+
+    const errors = []
+    const received = []
+    wx.on('error', e => errors.push(e))
+    wx.on('push', msg => received.push(msg.content))
+    server.push([
+      { fromUser : 'wxid_a', content : 'bad' },
+      { fromUser : 'wxid_a', content : 'good' },
+    ])
+    await delay(100)
+    assert.strictEqual(errors.length, 1)
+    assert(errors[0] instanceof PadchatError)
+    assert.strictEqual(errors[0].code, errorCode.MIDDLEWARE)
+    assert.strictEqual(errors[0].cause, cause)
+    assert.deepStrictEqual(received, ['good'])
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,61 @@
+'use strict'
+
+const assert = require('assert')
+
+const { test, setup, once } = require('./helper')
+
+test('扫码登陆后推送login及loaded事件', async () => {
+  const { server, wx, done } = await setup({}, { scanDelay : false })
+  try {
+    await once(wx, 'open')
+    await wx.init()
+    const qrcode = once(wx, 'qrcode')
+    const ret = await wx.login('qrcode')
+    assert.strictEqual(ret.success, true)
+    await qrcode
+
+    const login = once(wx, 'login')
+    const loaded = once(wx, 'loaded')
+    server.confirmLogin()
+    await login
+    await loaded
+  } finally {
+    await done()
+  }
+})
+
+test('fixture修改接口返回数据', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.init()
+    server.fixture('getMyInfo', { userName : 'wxid_bot', uin : 123 })
+    server.fixture('addRoomMember', () => ({ success : false, error : '没有权限' }))
+
+    const info = await wx.getMyInfo()
+    assert.strictEqual(info.data.userName, 'wxid_bot')
+    const ret = await wx.addRoomMember('1@chatroom', 'wxid_a')
+    assert.strictEqual(ret.success, false)
+    assert.strictEqual(ret.error, '没有权限')
+  } finally {
+    await done()
+  }
+})
+
+test('推送消息及未初始化时的请求', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    const ret = await wx.getMyInfo()
+    assert.strictEqual(ret.success, false)
+
+    await wx.autoLogin()
+    const push = once(wx, 'push')
+    server.push({ msgType : 1, fromUser : 'wxid_001', content : 'hello' })
+    const [msg] = await push
+    assert.strictEqual(msg.fromUser, 'wxid_001')
+    assert.strictEqual(msg.content, 'hello')
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,32 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test } = require('./helper')
+
+const { parseNotice, Message, MessageType } = Padchat
+
+// 模拟已登陆的Padchat实例
+const wx = { myInfo : { userName : 'wxid_me' } }
+
+test('解析群成员变动及撤回通知', () => {
+  const join = parseNotice(new Message(wx, {
+    mType : MessageType.sysNotice,
+    fromUser : '123@chatroom',
+    content : '"张三"邀请"李四、王五"加入了群聊',
+  }))
+  assert.strictEqual(join.event, 'room_join')
+  assert.strictEqual(join.data.room, '123@chatroom')
+  assert.strictEqual(join.data.inviter.nickName, '张三')
+  assert.deepStrictEqual(join.data.invitees.map(item => item.nickName), ['李四', '王五'])
+
+  const recalled = parseNotice(new Message(wx, {
+    mType : MessageType.recalled,
+    fromUser : 'wxid_a',
+    content : '<sysmsg type="revokemsg"><revokemsg><session>wxid_a</session><newmsgid>456</newmsgid><replacemsg><![CDATA["a" 撤回了一条消息]]></replacemsg></revokemsg></sysmsg>',
+  }))
+  assert.strictEqual(recalled.event, 'message_recalled')
+  assert.strictEqual(recalled.data.msgId, '456')
+
+  assert.strictEqual(parseNotice(new Message(wx, { mType : MessageType.text, content : '"a"邀请"b"加入了群聊' })), null)
+})
@@ -0,0 +1,84 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, MockServer, test, dropClients, once } = require('./helper')
+
+const { PadchatPool, PadchatError, ValidationError, errorCode } = Padchat
+
+/**
+ * 启动多个模拟服务器，并创建使用这些服务器的连接池
+ *
+ * @param {number} count - 服务器数量
+ * @param {object} [options] - 连接池配置
+ * @returns {Promise<object>} `{ servers, pool, done }`，用例结束时需调用`done()`
+ */
+async function setupPool(count, options = {}) {
+  const servers = []
+  for (let i = 0; i < count; i++) {
+    servers.push(await new MockServer({ port : 0, scanDelay : 10 }).listen())
+  }
+  const pool = new PadchatPool(Object.assign({ servers : servers.map(server => server.url) }, options))
+  pool.on('error', () => { })
+  pool.on('warn', () => { })
+  return {
+    servers,
+    pool,
+    done : async () => {
+      await pool.dispose()
+      await Promise.all(servers.map(server => server.close()))
+    },
+  }
+}
+
+test('重连后未能恢复登陆时重新自动登陆', async () => {
+  const { servers, pool, done } = await setupPool(1, {
+    autoLogin : true,
+    options : { reconnect : { minDelay : 50, jitter : 0 } },
+  })
+  try {
+    const wx = pool.add('wxid_001')
+    await wx.waitFor('logged_in')
+    // 清除登陆数据，使重连后无法恢复登陆
+    wx.token = null
+    wx.wxData = null
+    const reconnected = once(pool, 'reconnected')
+    dropClients(servers[0])
+    const [id, info] = await reconnected
+    assert.strictEqual(id, 'wxid_001')
+    assert.strictEqual(info.loginType, null)
+    await once(pool, 'login')
+    assert.strictEqual(pool.status().accounts[0].connected, true)
+    await wx.waitFor('logged_in')
+  } finally {
+    await done()
+  }
+})
+
+test('账号分配到账号最少的服务器，达到上限时抛出异常', async () => {
+  const { servers, pool, done } = await setupPool(2, { maxPerServer : 1 })
+  try {
+    const urls = servers.map(server => server.url)
+    pool.add('wxid_001')
+    pool.add('wxid_002')
+    assert.deepStrictEqual(pool.status().accounts.map(item => item.url), urls)
+    assert.throws(() => pool.add('wxid_003'), err => err instanceof PadchatError && err.code === errorCode.POOL_FULL)
+    assert.strictEqual(pool.has('wxid_003'), false)
+    assert.throws(() => pool.add('wxid_001'), ValidationError)
+
+    assert.strictEqual(await pool.remove('wxid_001'), true)
+    pool.add('wxid_003')
+    assert.strictEqual(pool.status().accounts.find(item => item.id === 'wxid_003').url, urls[0])
+    assert.deepStrictEqual(pool.status().servers.map(item => item.count), [1, 1])
+
+    // 重启时先释放原有名额，仍能分配到服务器
+    const old = pool.get('wxid_002')
+    const wx  = await pool.restart('wxid_002')
+    assert.notStrictEqual(wx, old)
+    assert.strictEqual(pool.get('wxid_002'), wx)
+    await wx.waitFor('connected')
+    assert.strictEqual(pool.status().accounts.find(item => item.id === 'wxid_002').url, urls[1])
+  } finally {
+    await done()
+  }
+})
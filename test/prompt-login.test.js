@@ -0,0 +1,83 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once } = require('./helper')
+
+const { errorCode, PadchatError, ServerError, ValidationError } = Padchat
+
+test('手机验证码登陆，验证码错误时重新输入', async () => {
+  const { wx, done } = await setup({}, { verifyCode : '654321' })
+  try {
+    await once(wx, 'open')
+    const asked = []
+    const codes = ['111111', '654321']
+    const ret = await wx.promptLogin('phone', {
+      prompt : (kind, info) => {
+        asked.push([kind, info.attempt, info.error && info.error.constructor])
+        return kind === 'phone' ? '13800000000' : codes.shift()
+      },
+    })
+    assert.deepStrictEqual(ret, { loginType : 'phone', attempts : 2 })
+    assert.deepStrictEqual(asked, [['phone', 1, null], ['code', 1, null], ['code', 2, ServerError]])
+    assert(wx.myInfo.userName)
+  } finally {
+    await done()
+  }
+})
+
+test('需要安全验证时等待用户完成后再次提交', async () => {
+  const { server, wx, done } = await setup({}, { password : 'pass' })
+  try {
+    await once(wx, 'open')
+    server.on('request', packet => {
+      if (packet.cmd === 'login' && server.password) {
+        server.event('warn', { error : '请在手机上完成安全验证', status : -106 })
+      }
+    })
+    const kinds = []
+    const ret = await wx.promptLogin('user', {
+      username : 'bot',
+      password : 'wrong',
+      prompt : (kind, info) => {
+        kinds.push(kind)
+        assert.strictEqual(info.error.code, errorCode.SERVER_WARN)
+        // 模拟用户在手机上完成验证
+        server.password = null
+        return ''
+      },
+    })
+    assert.deepStrictEqual(kinds, ['verify'])
+    assert.strictEqual(ret.attempts, 1)
+  } finally {
+    await done()
+  }
+})
+
+test('多次密码错误或取消输入时reject', async () => {
+  const { wx, done } = await setup({}, { password : 'pass' })
+  try {
+    await once(wx, 'open')
+    await assert.rejects(wx.promptLogin('qrcode', { prompt : () => '' }), ValidationError)
+    await assert.rejects(wx.promptLogin('user', {}), ValidationError)
+
+    let asked = 0
+    await assert.rejects(wx.promptLogin('user', {
+      username : 'bot',
+      retries : 1,
+      prompt : () => {
+        asked++
+        return 'wrong'
+      },
+    }), err => {
+      return err instanceof ServerError && err.code === errorCode.LOGIN_FAILED && err.cause instanceof ServerError
+    })
+    assert.strictEqual(asked, 2)
+
+    await assert.rejects(wx.promptLogin('user', { prompt : () => ' ' }), err => {
+      return err instanceof PadchatError && err.code === errorCode.ABORTED
+    })
+  } finally {
+    await done()
+  }
+})
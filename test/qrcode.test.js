@@ -0,0 +1,96 @@
+'use strict'
+
+const assert = require('assert')
+const fs     = require('fs')
+const http   = require('http')
+const os     = require('os')
+const path   = require('path')
+
+const { Padchat, test, setup, once } = require('./helper')
+
+const { qrcode, QrcodeServer, ValidationError } = Padchat
+
+// png文件头
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47])
+
+/**
+ * 发送http GET请求
+ *
+ * @param {string} url - 请求地址
+ * @returns {Promise<object>} `{ status, type, body }`，`body`为Buffer
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({
+        status : res.statusCode,
+        type : res.headers['content-type'],
+        body : Buffer.concat(chunks),
+      }))
+    }).on('error', reject)
+  })
+}
+
+test('生成终端、svg及png格式的二维码', async () => {
+  const text = await qrcode.toTerminal('http://weixin.qq.com/x/test', { small : true })
+  assert(typeof text === 'string' && text.length > 0)
+  assert(/^<svg/.test(await qrcode.toSVG('http://weixin.qq.com/x/test')))
+  const png = await qrcode.toPNG('http://weixin.qq.com/x/test')
+  assert(png.slice(0, 4).equals(PNG_SIGNATURE))
+  // 使用事件数据中服务器生成的图片
+  const image = Buffer.from('image').toString('base64')
+  assert.strictEqual(String(await qrcode.toPNG({ url : 'x', qrCode : image })), 'image')
+  await assert.rejects(qrcode.toPNG({}), ValidationError)
+})
+
+test('保存接口返回的图片', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'padchat-'))
+  const file = path.join(dir, 'room.png')
+  try {
+    const image = 'data:image/png;base64,' + Buffer.from('room').toString('base64')
+    await qrcode.saveImage({ success : true, data : { qrCode : image } }, file)
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'room')
+    await assert.rejects(qrcode.saveImage({ success : false, error : '没有权限' }, file), ValidationError)
+    await assert.rejects(qrcode.saveImage(image), ValidationError)
+  } finally {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+    fs.rmdirSync(dir)
+  }
+})
+
+test('二维码网页显示当前二维码及登陆状态', async () => {
+  const { server, wx, done } = await setup({}, { scanDelay : false })
+  const page = new QrcodeServer({ port : 0 }).attach(wx)
+  const open = once(wx, 'open')
+  try {
+    await page.listen()
+    assert.strictEqual((await get(page.url + 'qrcode.png')).status, 404)
+    assert(String((await get(page.url)).body).indexOf('EventSource') !== -1)
+
+    await open
+    await wx.init()
+    const qrcodeEvent = once(wx, 'qrcode')
+    await wx.login('qrcode')
+    await qrcodeEvent
+    let status = JSON.parse((await get(page.url + 'status')).body)
+    assert.strictEqual(status.hasImage, true)
+    assert.strictEqual(status.version, 1)
+    const png = await get(page.url + 'qrcode.png')
+    assert.strictEqual(png.status, 200)
+    assert.strictEqual(png.type, 'image/png')
+
+    const login = once(wx, 'login')
+    server.confirmLogin()
+    await login
+    status = JSON.parse((await get(page.url + 'status')).body)
+    assert.strictEqual(status.loggedIn, true)
+    assert.strictEqual(status.hasImage, false)
+  } finally {
+    await page.close()
+    await done()
+  }
+})
@@ -0,0 +1,59 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, dropClients, once } = require('./helper')
+
+const { errorCode } = Padchat
+
+test('断线期间的指令在重连后按顺序发送', async () => {
+  const { server, wx, done } = await setup({ queue : true, reconnect : { minDelay : 50, jitter : 0 } })
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    dropClients(server)
+    await once(wx, 'close')
+
+    const sent = []
+    server.on('request', packet => {
+      if (packet.cmd === 'sendMsg') {
+        sent.push(packet.data.content)
+      }
+    })
+    const rets = await Promise.all(['a', 'b', 'c'].map(text => wx.sendMsg('wxid_a', text)))
+    assert(rets.every(ret => ret.success))
+    assert.deepStrictEqual(sent, ['a', 'b', 'c'])
+  } finally {
+    await done()
+  }
+})
+
+test('队列已满时丢弃最早的指令', async () => {
+  const { server, wx, done } = await setup({ queue : { maxSize : 2 }, reconnect : { minDelay : 50, jitter : 0 } })
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    dropClients(server)
+    await once(wx, 'close')
+
+    const dropped = []
+    wx.on('cmd_dropped', data => dropped.push(data.data.content))
+    const rets = await Promise.all(['a', 'b', 'c'].map(text => wx.sendMsg('wxid_a', text).then(() => 'ok', e => e.code)))
+    assert.deepStrictEqual(rets, [errorCode.DROPPED, 'ok', 'ok'])
+    assert.deepStrictEqual(dropped, ['a'])
+  } finally {
+    await done()
+  }
+})
+
+test('未启用队列时断线期间的指令直接失败', async () => {
+  const { server, wx, done } = await setup({ reconnect : false })
+  try {
+    await once(wx, 'open')
+    dropClients(server)
+    await once(wx, 'close')
+    await assert.rejects(wx.sendMsg('wxid_a', 'a'), err => err.code === errorCode.NOT_CONNECTED)
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,31 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, dropClients, once } = require('./helper')
+
+const { loginType } = Padchat
+
+test('断线重连后使用token恢复登陆', async () => {
+  const { server, wx, done } = await setup({ reconnect : { minDelay : 50, jitter : 0 } })
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    assert(wx.token && wx.wxData)
+
+    const logins = []
+    server.on('request', packet => {
+      if (packet.cmd === 'login') {
+        logins.push(packet.data)
+      }
+    })
+    dropClients(server)
+    const [info] = await once(wx, 'reconnected')
+    assert.strictEqual(info.error, undefined)
+    assert.strictEqual(info.loginType, loginType.token)
+    assert.strictEqual(logins.length, 1)
+    assert.strictEqual(logins[0].token, wx.token)
+  } finally {
+    await done()
+  }
+})
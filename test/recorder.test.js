@@ -0,0 +1,97 @@
+'use strict'
+
+const assert = require('assert')
+const stream = require('stream')
+
+const { Padchat, test, setup, once, delay } = require('./helper')
+
+const { Recorder, Replayer } = Padchat
+
+/**
+ * 创建收集写入内容的可写流
+ *
+ * @returns {stream.Writable} 可写流，写入的内容保存在`lines`中
+ */
+function collector() {
+  const output = new stream.Writable({
+    write(chunk, encoding, callback) {
+      output.lines.push(String(chunk))
+      callback()
+    },
+  })
+  output.lines = []
+  return output
+}
+
+/**
+ * 连接后初始化并获取账号信息，回放时需执行相同的操作
+ *
+ * @param {Padchat} wx - Padchat实例
+ * @returns {Promise<object>} 返回`getMyInfo`的执行结果
+ */
+async function session(wx) {
+  await once(wx, 'open')
+  await wx.init()
+  return await wx.getMyInfo()
+}
+
+test('录制收发数据并回放', async () => {
+  const output = collector()
+  const { server, wx, done } = await setup({ autoConnect : false })
+  const recorder = new Recorder(wx, output)
+  try {
+    server.fixture('getMyInfo', { userName : 'wxid_bot' })
+    const info = session(wx)
+    await wx.start()
+    assert.strictEqual((await info).data.userName, 'wxid_bot')
+    const push = once(wx, 'push')
+    server.event('push', { list : [{ msgType : 1, fromUser : 'wxid_a', content : 'hello' }] })
+    await push
+  } finally {
+    recorder.stop()
+    await done()
+  }
+
+  const records = output.lines.map(line => JSON.parse(line))
+  assert.strictEqual(records[0].dir, 'open')
+  assert.deepStrictEqual(records.filter(item => item.dir === 'out').map(item => JSON.parse(item.frame).cmd), ['init', 'getMyInfo'])
+  assert(records.every(item => item.time > 0))
+
+  const replayWx = new Padchat(undefined, { autoConnect : false })
+  const replayer = new Replayer(records)
+  const mismatch = []
+  const pushed = []
+  replayer.on('mismatch', packet => mismatch.push(packet))
+  replayWx.on('push', msg => pushed.push(msg.content))
+  try {
+    const info = session(replayWx)
+    await replayer.attach(replayWx)
+    assert.strictEqual((await info).data.userName, 'wxid_bot')
+    assert.deepStrictEqual(pushed, ['hello'])
+    assert.deepStrictEqual(mismatch, [])
+  } finally {
+    await replayWx.dispose()
+  }
+})
+
+test('回放时实例没有发送录制的指令则触发mismatch事件', async () => {
+  const wx       = new Padchat(undefined, { autoConnect : false })
+  const replayer = new Replayer([
+    { time : 1, dir : 'open' },
+    { time : 2, dir : 'out', frame : JSON.stringify({ type : 'user', cmd : 'init', cmdId : 'a' }) },
+    { time : 3, dir : 'close' },
+  ], { waitTimeout : 50 })
+  try {
+    const mismatch = once(replayer, 'mismatch')
+    const end = once(replayer, 'end')
+    await replayer.attach(wx)
+    const [packet] = await mismatch
+    assert.strictEqual(packet.cmd, 'init')
+    await end
+    // 回放结束后恢复自动重连设置，但不会连接真实服务器
+    await delay(50)
+    assert.strictEqual(wx.connected, false)
+  } finally {
+    await wx.dispose()
+  }
+})
@@ -0,0 +1,85 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once, delay } = require('./helper')
+
+const { scanStatus } = Padchat
+
+/**
+ * 连接后请求扫码登陆，等待推送二维码
+ *
+ * @param {Padchat} wx - Padchat实例
+ * @returns {Promise<void>} 收到二维码后resolve
+ */
+async function waitQrcode(wx) {
+  await once(wx, 'open')
+  await wx.init()
+  const qrcode = once(wx, 'qrcode')
+  await wx.login('qrcode')
+  await qrcode
+}
+
+test('扫码确认登陆时依次触发qrcode_scanned及qrcode_confirmed', async () => {
+  const { server, wx, done } = await setup({}, { scanDelay : false })
+  try {
+    await waitQrcode(wx)
+    const events = ['qrcode_scanned', 'qrcode_confirmed', 'qrcode_failed']
+    const emitted = []
+    events.forEach(event => wx.on(event, () => emitted.push(event)))
+    const scanned = once(wx, 'qrcode_scanned')
+    const login = once(wx, 'login')
+    server.confirmLogin()
+    const [info] = await scanned
+    assert.strictEqual(typeof info.nickName, 'string')
+    await login
+    assert.deepStrictEqual(emitted, ['qrcode_scanned', 'qrcode_confirmed'])
+  } finally {
+    await done()
+  }
+})
+
+test('确认后登陆失败时触发qrcode_failed，取消时触发qrcode_cancelled', async () => {
+  const { server, wx, done } = await setup({}, { scanDelay : false })
+  try {
+    await waitQrcode(wx)
+    const failed = once(wx, 'qrcode_failed')
+    server.scan(scanStatus.confirmed, { subStatus : 1 })
+    const [data] = await failed
+    assert.strictEqual(data.subStatus, 1)
+
+    await wx.login('qrcode')
+    const cancelled = once(wx, 'qrcode_cancelled')
+    server.scan(scanStatus.cancelled)
+    await cancelled
+  } finally {
+    await done()
+  }
+})
+
+test('二维码过期时按refreshQrcode次数自动刷新', async () => {
+  const { server, wx, done } = await setup({ refreshQrcode : 1 }, { scanDelay : false })
+  try {
+    await waitQrcode(wx)
+    const logins = []
+    server.on('request', packet => {
+      if (packet.cmd === 'login') {
+        logins.push(packet)
+      }
+    })
+    const qrcode = once(wx, 'qrcode')
+    server.scan(scanStatus.expired)
+    await once(wx, 'qrcode_expired')
+    await qrcode
+    assert.strictEqual(logins.length, 1)
+
+    // 达到刷新次数后不再刷新
+    const expired = once(wx, 'qrcode_expired')
+    server.scan(scanStatus.expired)
+    await expired
+    await delay(100)
+    assert.strictEqual(logins.length, 1)
+  } finally {
+    await done()
+  }
+})
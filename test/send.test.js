@@ -0,0 +1,65 @@
+'use strict'
+
+/* global AbortController */
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once, delay, dropClients } = require('./helper')
+
+const { errorCode, TimeoutError, ConnectionError, PadchatError } = Padchat
+
+test('等待结果超时后reject并清理登记，迟到的结果被忽略', async () => {
+  const { server, wx, done } = await setup({ sendTimeout : 50 })
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    server.fixture('getMyInfo', () => delay(150).then(() => ({ success : true, data : { status : 0 } })))
+    await assert.rejects(wx.getMyInfo(), err => {
+      return err instanceof TimeoutError && err.cmd === 'getMyInfo' && Boolean(err.cmdId)
+    })
+    assert.strictEqual(wx._pending.size, 0)
+    // 迟到的结果不影响后续指令
+    await delay(150)
+    const ret = await wx.sendCmd('getMyInfo', {}, { timeout : 500 })
+    assert.strictEqual(ret.success, true)
+    assert.strictEqual(wx._pending.size, 0)
+  } finally {
+    await done()
+  }
+})
+
+test('通过signal取消等待', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    server.fixture('getMyInfo', () => delay(100).then(() => ({ success : true, data : { status : 0 } })))
+    const controller = new AbortController()
+    const pending = wx.sendCmd('getMyInfo', {}, { signal : controller.signal })
+    await delay(20)
+    assert.strictEqual(wx._pending.size, 1)
+    controller.abort()
+    await assert.rejects(pending, err => err instanceof PadchatError && err.code === errorCode.ABORTED)
+    assert.strictEqual(wx._pending.size, 0)
+  } finally {
+    await done()
+  }
+})
+
+test('连接断开时reject全部等待中的指令', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    server.fixture('getMyInfo', () => new Promise(() => { }))
+    const pending = [wx.getMyInfo(), wx.getMyInfo()]
+    await delay(20)
+    dropClients(server)
+    for (const item of pending) {
+      await assert.rejects(item, err => err instanceof ConnectionError && err.code === errorCode.DISCONNECTED)
+    }
+    assert.strictEqual(wx._pending.size, 0)
+  } finally {
+    await done()
+  }
+})
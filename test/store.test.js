@@ -0,0 +1,83 @@
+'use strict'
+
+const assert = require('assert')
+const fs     = require('fs')
+const os     = require('os')
+const path   = require('path')
+
+const { Padchat, test } = require('./helper')
+
+const { MemoryStore, FileStore, ValidationError } = Padchat
+
+/**
+ * 在临时目录中执行用例，结束后删除临时目录
+ *
+ * @param {function} fn - 用例函数，参数为临时目录
+ * @returns {Promise<void>} 用例执行完毕后resolve
+ */
+async function withTmpDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'padchat-'))
+  try {
+    await fn(dir)
+  } finally {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)))
+    fs.rmdirSync(dir)
+  }
+}
+
+/**
+ * 并发保存多个账号的登陆数据，检查全部保存成功
+ *
+ * @param {CredentialStore} store - 登陆数据存储
+ * @returns {Promise<void>} 检查完毕后resolve
+ */
+async function checkConcurrentSave(store) {
+  const names = ['wxid_1', 'wxid_2', 'wxid_3', 'wxid_4']
+  await Promise.all(names.map((userName, index) => store.save({ userName, uin : index + 1, wxData : '62' + index, token : 't' + index })))
+  const list = await store.list()
+  assert.deepStrictEqual(list.map(item => item.userName).sort(), names)
+  assert.strictEqual((await store.load(3)).token, 't2')
+}
+
+test('MemoryStore并发保存多个账号', async () => {
+  await checkConcurrentSave(new MemoryStore())
+})
+
+test('FileStore并发保存多个账号', async () => {
+  await withTmpDir(async dir => {
+    await checkConcurrentSave(new FileStore(path.join(dir, 'credentials.json')))
+  })
+})
+
+test('保存时合并已有记录，空值不覆盖', async () => {
+  const store = new MemoryStore()
+  await store.save({ userName : 'wxid_1', uin : 1, wxData : '62a', token : 'a' })
+  await store.save({ userName : 'wxid_1', wxData : '', token : 'b' })
+  const record = await store.load('wxid_1')
+  assert.strictEqual(record.wxData, '62a')
+  assert.strictEqual(record.token, 'b')
+  assert.strictEqual((await store.load()).userName, 'wxid_1')
+  assert.strictEqual(await store.remove('wxid_1'), true)
+  assert.strictEqual(await store.load('wxid_1'), null)
+  await assert.rejects(store.save({ token : 'c' }), ValidationError)
+})
+
+test('FileStore加密保存，及转换旧版格式', async () => {
+  await withTmpDir(async dir => {
+    const file  = path.join(dir, 'credentials.json')
+    const store = new FileStore(file, { secret : 'pass' })
+    await store.save({ userName : 'wxid_1', wxData : '62secret', token : 'a' })
+    assert.strictEqual(fs.readFileSync(file, 'utf8').indexOf('62secret'), -1)
+    assert.strictEqual((await new FileStore(file, { secret : 'pass' }).load('wxid_1')).wxData, '62secret')
+    await assert.rejects(new FileStore(file, { secret : 'wrong' }).load(), ValidationError)
+
+    const legacy = path.join(dir, 'config.json')
+    fs.writeFileSync(legacy, JSON.stringify({ wxData : '62old', token : 'old' }))
+    const legacyStore = new FileStore(legacy)
+    await legacyStore.save({ userName : 'wxid_2', token : 'new' })
+    const record = await legacyStore.load('wxid_2')
+    assert.strictEqual(record.wxData, '62old')
+    assert.strictEqual(record.token, 'new')
+    assert.deepStrictEqual((await legacyStore.list()).map(item => item.userName), ['wxid_2'])
+  })
+})
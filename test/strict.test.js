@@ -0,0 +1,48 @@
+'use strict'
+
+const assert = require('assert')
+
+const { Padchat, test, setup, once } = require('./helper')
+
+const { ServerError } = Padchat
+
+test('严格模式下失败时reject，成功时只返回data', async () => {
+  const { server, wx, done } = await setup({ strict : true })
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    server.fixture('getMyInfo', { userName : 'wxid_bot' })
+    const data = await wx.getMyInfo()
+    assert.strictEqual(data.userName, 'wxid_bot')
+
+    server.fixture('sendMsg', () => ({ success : true, data : { status : -44, message : '发送失败' } }))
+    await assert.rejects(wx.sendMsg('wxid_a', 'hi'), err => {
+      return err instanceof ServerError && err.cmd === 'sendMsg' && err.status === -44 &&
+        err.result.data.message === '发送失败'
+    })
+    server.fixture('addRoomMember', () => ({ success : false, error : '没有权限' }))
+    await assert.rejects(wx.addRoomMember('1@chatroom', 'wxid_a'), ServerError)
+  } finally {
+    await done()
+  }
+})
+
+test('withOptions只影响返回的实例，调用时传入的选项优先', async () => {
+  const { server, wx, done } = await setup()
+  try {
+    await once(wx, 'open')
+    await wx.autoLogin()
+    server.fixture('sendMsg', () => ({ success : false, error : '发送失败' }))
+
+    const strict = wx.withOptions({ strict : true })
+    await assert.rejects(strict.sendMsg('wxid_a', 'hi'), ServerError)
+    assert.strictEqual((await wx.sendMsg('wxid_a', 'hi')).success, false)
+    assert.strictEqual(wx.strict, false)
+    assert.strictEqual((await strict.sendCmd('sendMsg', {}, { strict : false })).success, false)
+    await assert.rejects(wx.sendCmd('sendMsg', {}, { strict : true }), ServerError)
+    // 多次调用withOptions时合并选项
+    await assert.rejects(strict.withOptions({ timeout : 1000 }).sendMsg('wxid_a', 'hi'), ServerError)
+  } finally {
+    await done()
+  }
+})
@@ -0,0 +1,280 @@
+'use strict'
+
+const { errorCode, PadchatError, ValidationError } = require('./errors')
+
+// 开始标签，包括标签名、属性及自闭合标记
+const tagReg   = /<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/y
+const attrReg  = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g
+const entities = {
+  amp : '&',
+  lt : '<',
+  gt : '>',
+  quot : '"',
+  apos : "'",
+}
+
+/**
+ * xml节点
+ *
+ * 由`parse`生成，只保留元素节点，节点内的文本及CDATA内容合并到`text`中
+ *
+ * @class XmlNode
+ */
+class XmlNode {
+  /**
+   * Creates an instance of XmlNode.
+   * @param {string} name - 标签名
+   * @param {object} [attrs={}] - 属性
+   * @memberof XmlNode
+   */
+  constructor(name, attrs = {}) {
+    this.name = name
+    this.attrs = attrs
+    this.children = []
+    this.text = ''
+  }
+
+  /**
+   * 获取第一个指定标签名的子节点
+   *
+   * @param {string} name - 标签名
+   * @returns {XmlNode|null} 子节点，不存在时为`null`
+   * @memberof XmlNode
+   */
+  child(name) {
+    return this.children.find(node => node.name === name) || null
+  }
+
+  /**
+   * 按路径获取后代节点
+   *
+   * @example
+   * parse(xml).get('appmsg.appattach.totallen')
+   *
+   * @param {string} path - 以`.`分隔的标签名路径
+   * @returns {XmlNode|null} 节点，不存在时为`null`
+   * @memberof XmlNode
+   */
+  get(path) {
+    return path.split('.').reduce((node, name) => node && node.child(name), this)
+  }
+
+  /**
+   * 按路径获取后代节点的文本，已去除首尾空白
+   *
+   * @param {string} path - 以`.`分隔的标签名路径
+   * @param {string} [defaultValue=''] - 节点不存在时的默认值
+   * @returns {string} 文本
+   * @memberof XmlNode
+   */
+  getText(path, defaultValue = '') {
+    const node = this.get(path)
+    return node ? node.text.trim() : defaultValue
+  }
+
+  /**
+   * 转换为object
+   *
+   * 没有属性及子节点的节点转换为文本；否则属性放在`$`中，文本放在`_`中，同名子节点合并为数组
+   *
+   * @returns {object|string} 转换结果
+   * @memberof XmlNode
+   */
+  toObject() {
+    const text = this.text.trim()
+    if (!this.children.length && !Object.keys(this.attrs).length) {
+      return text
+    }
+    const obj = {}
+    if (Object.keys(this.attrs).length) {
+      obj.$ = Object.assign({}, this.attrs)
+    }
+    if (text) {
+      obj._ = text
+    }
+    this.children.forEach(node => {
+      const value = node.toObject()
+      if (!obj.hasOwnProperty(node.name)) {
+        obj[node.name] = value
+      } else if (Array.isArray(obj[node.name])) {
+        obj[node.name].push(value)
+      } else {
+        obj[node.name] = [obj[node.name], value]
+      }
+    })
+    return obj
+  }
+
+  /**
+   * 转换为xml文本
+   *
+   * 文本及属性中的特殊字符转换为实体字符，有子节点时只保留非空白的文本（放在子节点之前）
+   *
+   * @example
+   * // 提取APP消息中的`<appmsg>`节点，用于`sendAppMsg`
+   * const content = xml.parse(msg.content).child('appmsg').toString()
+   *
+   * @returns {string} xml文本
+   * @memberof XmlNode
+   */
+  toString() {
+    const attrs = Object.keys(this.attrs)
+      .map(name => ` ${name}="${encode(this.attrs[name]).replace(/"/g, '&quot;')}"`)
+      .join('')
+    const text = this.children.length && !this.text.trim() ? '' : encode(this.text)
+    if (!text && !this.children.length) {
+      return `<${this.name}${attrs} />`
+    }
+    return `<${this.name}${attrs}>${text}${this.children.map(node => node.toString()).join('')}</${this.name}>`
+  }
+}
+
+/**
+ * 解析xml文本
+ *
+ * 仅支持消息推送中常见的xml结构：元素、属性、文本、CDATA、注释及实体字符，不校验DTD及命名空间
+ *
+ * @example
+ * const msg = xml.parse(data.content)
+ * console.log(msg.getText('appmsg.title'))
+ *
+ * @param {string} text - xml文本
+ * @returns {XmlNode} 根节点
+ */
+function parse(text) {
+  if (typeof text !== 'string') {
+    throw new ValidationError('xml内容必须为字符串!')
+  }
+  const doc   = new XmlNode('#document')
+  const stack = [doc]
+  let pos     = 0
+  while (pos < text.length) {
+    const current = stack[stack.length - 1]
+    const start   = text.indexOf('<', pos)
+    if (start === -1) {
+      current.text += decode(text.slice(pos))
+      break
+    }
+    current.text += decode(text.slice(pos, start))
+
+    if (text.startsWith('<![CDATA[', start)) {
+      const end = findEnd(text, ']]>', start)
+      current.text += text.slice(start + 9, end)
+      pos = end + 3
+    } else if (text.startsWith('<!--', start)) {
+      pos = findEnd(text, '-->', start) + 3
+    } else if (text.startsWith('<?', start)) {
+      pos = findEnd(text, '?>', start) + 2
+    } else if (text.startsWith('<!', start)) {
+      pos = findEnd(text, '>', start) + 1
+    } else if (text.startsWith('</', start)) {
+      const end  = findEnd(text, '>', start)
+      const name = text.slice(start + 2, end).trim()
+      if (stack.length <= 1 || current.name !== name) {
+        throw invalid(`结束标签</${name}>不匹配`)
+      }
+      stack.pop()
+      pos = end + 1
+    } else {
+      tagReg.lastIndex = start
+      const match = tagReg.exec(text)
+      if (!match) {
+        throw invalid(`位置${start}的标签格式错误`)
+      }
+      const node = new XmlNode(match[1], parseAttrs(match[2]))
+      current.children.push(node)
+      if (!match[3]) {
+        stack.push(node)
+      }
+      pos = tagReg.lastIndex
+    }
+  }
+  if (stack.length > 1) {
+    throw invalid(`标签<${stack[stack.length - 1].name}>未结束`)
+  }
+  if (!doc.children.length) {
+    throw invalid('没有根节点')
+  }
+  return doc.children[0]
+}
+
+/**
+ * 查找结束标记的位置
+ *
+ * @param {string} text - xml文本
+ * @param {string} mark - 结束标记
+ * @param {number} start - 开始查找的位置
+ * @private
+ * @returns {number} 结束标记的位置
+ */
+function findEnd(text, mark, start) {
+  const end = text.indexOf(mark, start)
+  if (end === -1) {
+    throw invalid(`位置${start}的内容未结束`)
+  }
+  return end
+}
+
+/**
+ * 解析标签中的属性
+ *
+ * @param {string} text - 属性文本
+ * @private
+ * @returns {object} 属性
+ */
+function parseAttrs(text) {
+  const attrs = {}
+  let match
+  attrReg.lastIndex = 0
+  while ((match = attrReg.exec(text))) {
+    attrs[match[1]] = decode(match[2] || match[3] || match[4] || '')
+  }
+  return attrs
+}
+
+/**
+ * 替换实体字符
+ *
+ * @param {string} text - 文本
+ * @private
+ * @returns {string} 替换后的文本
+ */
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match
+    }
+    return entities.hasOwnProperty(name) ? entities[name] : match
+  })
+}
+
+/**
+ * 将文本中的特殊字符转换为实体字符
+ *
+ * @param {string} text - 文本
+ * @private
+ * @returns {string} 转换后的文本
+ */
+function encode(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * 生成xml格式错误
+ *
+ * @param {string} reason - 错误原因
+ * @private
+ * @returns {PadchatError} 异常
+ */
+function invalid(reason) {
+  return new PadchatError(`xml解析失败：${reason}`, { code : errorCode.INVALID_DATA })
+}
+
+module.exports = {
+  XmlNode,
+  parse,
+}